@@ -0,0 +1,2 @@
+// Entry point for @jvitela/recompute/react
+module.exports = require('./lib/react');
@@ -0,0 +1,16 @@
+import babel from '@rollup/plugin-babel';
+
+// Bundles src/index.js and the modules it imports into a single UMD file,
+//  exposed as the observeSelect global when there is no module loader.
+export default {
+    input: 'src/index.js',
+    output: {
+        file: 'dist/recompute.js',
+        format: 'umd',
+        name: 'observeSelect',
+        exports: 'named'
+    },
+    plugins: [
+        babel({ babelHelpers: 'bundled' })
+    ]
+};
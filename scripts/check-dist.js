@@ -0,0 +1,20 @@
+// Loads the UMD bundle without a module loader, as a browser script tag
+//  would, and checks that the observeSelect global works.
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const file = path.join(__dirname, '../dist/recompute.js');
+const sandbox = { console };
+vm.runInNewContext(fs.readFileSync(file, 'utf8'), sandbox, { filename: file });
+
+const { createContext } = sandbox.observeSelect;
+const { createObserver, createSelector, setState } = createContext({ a: 1 });
+const getA = createObserver(state => state.a);
+const double = createSelector(() => getA() * 2);
+assert.strictEqual(double(), 2);
+setState({ a: 2 });
+assert.strictEqual(double(), 4);
+
+console.log(`${path.relative(process.cwd(), file)} loads as a global`);
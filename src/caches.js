@@ -0,0 +1,269 @@
+// Cache implementations for selectors.
+//  All of them implement the same contract:
+//    get(key), set(key, value), delete(key), clear(), forEach(callback) and size
+//  except for IdentityCache, see below.
+
+// From fast-memoize
+//  See: https://github.com/caiogondim/fast-memoize.js/blob/master/src/index.js
+export class DefaultCache {
+    constructor() {
+        this.cache = Object.create(null);
+        this.count = 0;
+    }
+
+    get(key) {
+        return this.cache[key];
+    }
+
+    set(key, value) {
+        if (!(key in this.cache)) {
+            ++this.count;
+        }
+        this.cache[key] = value;
+    }
+
+    delete(key) {
+        if (key in this.cache) {
+            delete this.cache[key];
+            --this.count;
+        }
+    }
+
+    clear() {
+        this.cache = Object.create(null);
+        this.count = 0;
+    }
+
+    // Keys can be symbols, which Object.keys would skip
+    forEach(callback) {
+        const keys = Reflect.ownKeys(this.cache);
+        for (let i = 0, l = keys.length; i < l; ++i) {
+            callback(this.cache[keys[i]], keys[i]);
+        }
+    }
+
+    get size() {
+        return this.count;
+    }
+}
+
+const checkMaxSize = maxSize => {
+    if (!(maxSize > 0)) {
+        throw new Error('Cache maxSize must be a positive number');
+    }
+    return maxSize;
+};
+
+// Keeps at most `maxSize` entries, evicting the oldest inserted entry first.
+export class MaxSizeCache {
+    constructor(maxSize) {
+        this.maxSize = checkMaxSize(maxSize);
+        this.cache = new Map();
+    }
+
+    get(key) {
+        return this.cache.get(key);
+    }
+
+    set(key, value) {
+        if (!this.cache.has(key) && this.cache.size >= this.maxSize) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        this.cache.set(key, value);
+    }
+
+    delete(key) {
+        this.cache.delete(key);
+    }
+
+    clear() {
+        this.cache.clear();
+    }
+
+    forEach(callback) {
+        this.cache.forEach((value, key) => callback(value, key));
+    }
+
+    get size() {
+        return this.cache.size;
+    }
+}
+
+// Keeps at most `maxSize` entries, evicting the least recently used entry first.
+//  A Map iterates in insertion order, so re-inserting an entry when it is read
+//  keeps the least recently used one at the front.
+export class LruCache extends MaxSizeCache {
+    get(key) {
+        if (!this.cache.has(key)) {
+            return undefined;
+        }
+        const value = this.cache.get(key);
+        this.cache.delete(key);
+        this.cache.set(key, value);
+        return value;
+    }
+
+    set(key, value) {
+        this.cache.delete(key);
+        super.set(key, value);
+    }
+}
+
+// Entries expire `ttl` milliseconds after they were stored.
+export class TtlCache {
+    constructor(ttl) {
+        if (!(ttl > 0)) {
+            throw new Error('Cache ttl must be a positive number');
+        }
+        this.ttl = ttl;
+        this.cache = new Map();
+    }
+
+    get(key) {
+        const entry = this.cache.get(key);
+        if (!entry) {
+            return undefined;
+        }
+        if (entry.expires <= Date.now()) {
+            this.cache.delete(key);
+            return undefined;
+        }
+        return entry.value;
+    }
+
+    set(key, value) {
+        // Re-insert so that entries stay sorted by expiration time
+        this.cache.delete(key);
+        this.cache.set(key, { value, expires: Date.now() + this.ttl });
+        this.prune();
+    }
+
+    delete(key) {
+        this.cache.delete(key);
+    }
+
+    clear() {
+        this.cache.clear();
+    }
+
+    forEach(callback) {
+        this.prune();
+        this.cache.forEach((entry, key) => callback(entry.value, key));
+    }
+
+    // Entries are sorted by expiration time, stop at the first one still alive
+    prune() {
+        const now = Date.now();
+        for (const [key, entry] of this.cache) {
+            if (entry.expires > now) {
+                break;
+            }
+            this.cache.delete(key);
+        }
+    }
+
+    get size() {
+        this.prune();
+        return this.cache.size;
+    }
+}
+
+// Node of a trie with one level per argument. Objects are stored in
+//  WeakMaps, so that the branches of an object are released together
+//  with it, and primitives in Maps. Nodes keep a count of their children
+//  so that empty branches can be removed when entries are deleted.
+const isObjectArg = arg => (typeof arg === 'object' && arg !== null) || typeof arg === 'function';
+
+class ArgsNode {
+    constructor(parent, arg) {
+        this.parent = parent;
+        this.arg = arg;
+        this.objects = null;
+        this.primitives = null;
+        this.childCount = 0;
+    }
+
+    // Returns the child for the given argument without creating it
+    find(arg) {
+        const children = isObjectArg(arg) ? this.objects : this.primitives;
+        return children ? children.get(arg) : undefined;
+    }
+
+    child(arg) {
+        let node = this.find(arg);
+        if (!node) {
+            const prop = isObjectArg(arg) ? 'objects' : 'primitives';
+            if (!this[prop]) {
+                this[prop] = prop === 'objects' ? new WeakMap() : new Map();
+            }
+            node = new ArgsNode(this, arg);
+            this[prop].set(arg, node);
+            ++this.childCount;
+        }
+        return node;
+    }
+
+    removeChild(arg) {
+        (isObjectArg(arg) ? this.objects : this.primitives).delete(arg);
+        --this.childCount;
+    }
+}
+
+// Compares arguments by identity instead of serializing them.
+//  `serialize` returns the trie node for the given arguments, which is
+//  always the same object for the same arguments, and is then used as
+//  the key of a WeakMap. Entries are garbage collected together with
+//  their object arguments.
+//  `find` returns the node without creating it, or undefined if no entry
+//  was stored for the arguments, it is used for reads.
+//  WeakMaps are not iterable, this cache has no size nor forEach.
+export class IdentityCache {
+    constructor() {
+        this.root = new ArgsNode(null);
+        this.cache = new WeakMap();
+        this.serialize = this.serialize.bind(this);
+        this.find = this.find.bind(this);
+    }
+
+    serialize(args) {
+        let node = this.root;
+        for (let i = 0, l = args.length; i < l; ++i) {
+            node = node.child(args[i]);
+        }
+        return node;
+    }
+
+    find(args) {
+        let node = this.root;
+        for (let i = 0, l = args.length; i < l && node; ++i) {
+            node = node.find(args[i]);
+        }
+        return node;
+    }
+
+    get(key) {
+        return this.cache.get(key);
+    }
+
+    set(key, value) {
+        this.cache.set(key, value);
+    }
+
+    // Removes the entry and the nodes left without entries nor children
+    delete(key) {
+        if (!key) {
+            return;
+        }
+        this.cache.delete(key);
+        let node = key;
+        while (node.parent && node.childCount === 0 && !this.cache.has(node)) {
+            node.parent.removeChild(node.arg);
+            node = node.parent;
+        }
+    }
+
+    clear() {
+        this.root = new ArgsNode(null);
+        this.cache = new WeakMap();
+    }
+}
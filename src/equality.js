@@ -0,0 +1,180 @@
+const hasOwn = Object.prototype.hasOwnProperty;
+
+const isSameValue = (a, b) => a === b || (a !== a && b !== b); // NaN
+
+const keysEqual = (a, b, isEqual) => {
+    const keysA = Object.keys(a);
+    if (keysA.length !== Object.keys(b).length) {
+        return false;
+    }
+    for (let i = 0, l = keysA.length; i < l; ++i) {
+        const key = keysA[i];
+        if (!hasOwn.call(b, key) || !isEqual(a[key], b[key])) {
+            return false;
+        }
+    }
+    return true;
+};
+
+const isObject = value => typeof value === 'object' && value !== null;
+
+// Members of b that are not in a are matched with the objects of a that
+//  are not in b, each of them can only be matched once.
+const setsEqual = (a, b, isEqual) => {
+    let unmatched = null;
+    for (const value of a) {
+        if (b.has(value)) {
+            continue;
+        }
+        if (!isObject(value)) {
+            return false;
+        }
+        if (!unmatched) {
+            unmatched = Array.from(b).filter(item => isObject(item) && !a.has(item));
+        }
+        const index = unmatched.findIndex(item => isEqual(value, item));
+        if (index === -1) {
+            return false;
+        }
+        unmatched.splice(index, 1);
+    }
+    return true;
+};
+
+const contentsEqual = (a, b, isEqual) => {
+    if (Array.isArray(a)) {
+        if (a.length !== b.length) {
+            return false;
+        }
+        for (let i = 0, l = a.length; i < l; ++i) {
+            if (!isEqual(a[i], b[i])) {
+                return false;
+            }
+        }
+        return true;
+    }
+    if (a instanceof Map) {
+        if (a.size !== b.size) {
+            return false;
+        }
+        for (const [key, value] of a) {
+            if (!b.has(key) || !isEqual(value, b.get(key))) {
+                return false;
+            }
+        }
+        return true;
+    }
+    if (a instanceof Set) {
+        return a.size === b.size && setsEqual(a, b, isEqual);
+    }
+    return keysEqual(a, b, isEqual);
+};
+
+// `stack` holds the pairs of objects being compared, a pair that is
+//  compared again is a circular reference and is considered equal.
+const compare = (a, b, checkPrototypes, stack) => {
+    if (isSameValue(a, b)) {
+        return true;
+    }
+    if (
+        !isObject(a) || !isObject(b) ||
+        Array.isArray(a) !== Array.isArray(b) ||
+        (checkPrototypes && Object.getPrototypeOf(a) !== Object.getPrototypeOf(b))
+    ) {
+        return false;
+    }
+    if (a instanceof Date || b instanceof Date) {
+        return a instanceof Date && b instanceof Date && isSameValue(a.getTime(), b.getTime());
+    }
+    if (a instanceof RegExp || b instanceof RegExp) {
+        return a instanceof RegExp && b instanceof RegExp && a.toString() === b.toString();
+    }
+    if ((a instanceof Map) !== (b instanceof Map) || (a instanceof Set) !== (b instanceof Set)) {
+        return false;
+    }
+    for (let i = 0, l = stack.length; i < l; i += 2) {
+        if (stack[i] === a) {
+            return stack[i + 1] === b;
+        }
+    }
+    stack.push(a, b);
+    const result = contentsEqual(a, b, (x, y) => compare(x, y, checkPrototypes, stack));
+    stack.length -= 2;
+    return result;
+};
+
+// Compares values recursively. Objects must have the same prototype,
+//  Dates, RegExps, Maps and Sets are compared by their contents.
+//  Circular references are supported.
+export const deepEqual = (a, b) => compare(a, b, true, []);
+
+const isBuiltIn = value => value instanceof Date || value instanceof RegExp ||
+    value instanceof Map || value instanceof Set;
+
+// Compares the own enumerable properties of two objects with ===,
+//  the entries of Maps and the members of Sets
+export const shallowEqual = (a, b) => {
+    if (isSameValue(a, b)) {
+        return true;
+    }
+    if (
+        typeof a !== 'object' || a === null ||
+        typeof b !== 'object' || b === null ||
+        Array.isArray(a) !== Array.isArray(b)
+    ) {
+        return false;
+    }
+    // Dates, RegExps, Maps and Sets have no own properties to compare
+    if (isBuiltIn(a) || isBuiltIn(b)) {
+        if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) {
+            return false;
+        }
+        if (a instanceof Date) {
+            return isSameValue(a.getTime(), b.getTime());
+        }
+        if (a instanceof RegExp) {
+            return a.toString() === b.toString();
+        }
+    }
+    return contentsEqual(a, b, isSameValue);
+};
+
+// Compares the items of two arrays with ===, useful for observers
+//  returning filtered lists
+export const arrayItemsEqual = (a, b) => {
+    if (isSameValue(a, b)) {
+        return true;
+    }
+    if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) {
+        return false;
+    }
+    for (let i = 0, l = a.length; i < l; ++i) {
+        if (!isSameValue(a[i], b[i])) {
+            return false;
+        }
+    }
+    return true;
+};
+
+// Like deepEqual but only compares data: prototypes are ignored, so a class
+//  instance is equal to a plain object with the same properties.
+export const structuralEqual = (a, b) => compare(a, b, false, []);
+
+const equalityPresets = {
+    shallow: shallowEqual,
+    deep: deepEqual,
+    structural: structuralEqual,
+    arrayItems: arrayItemsEqual
+};
+
+// Resolves the isEqual option of observers, which can be a function or
+//  the name of one of the helpers above
+export const getEqualityFn = isEqual => {
+    if (typeof isEqual !== 'string') {
+        return isEqual;
+    }
+    if (!hasOwn.call(equalityPresets, isEqual)) {
+        throw new Error(`Unknown isEqual "${isEqual}", expected one of: ${Object.keys(equalityPresets).join(', ')}`);
+    }
+    return equalityPresets[isEqual];
+};
@@ -1,46 +1,44 @@
-import { useRef, useEffect } from "react";
+import { useEffect } from "react";
 import { useSelector } from "react-redux";
 
-let refsCount = 0;
+// Number of mounted components using each cache entry, by selector and key
+const refCounts = new WeakMap();
 
-const addRef = selector => {
-  if (!selector.refIds) {
-    selector.refIds = [];
+const addRef = (selector, key) => {
+  let counts = refCounts.get(selector);
+  if (!counts) {
+    counts = new Map();
+    refCounts.set(selector, counts);
   }
-  selector.refIds.push(++refsCount);
-  return refsCount;
+  counts.set(key, (counts.get(key) || 0) + 1);
 };
 
-const removeRef = (selector, refId) => {
-  if (!selector.refIds) {
-    return;
-  }
-  selector.refIds = selector.refIds.filter(id => id !== refId);
-  if (selector.refIds.length === 0) {
-    // console.log("clearing cache");
-    selector.clearCache();
+const removeRef = (selector, key, args) => {
+  const counts = refCounts.get(selector);
+  const count = counts.get(key) - 1;
+  if (count > 0) {
+    counts.set(key, count);
+  } else {
+    counts.delete(key);
+    selector.evict.apply(null, args);
   }
 };
 
 /**
- * Wrapper around useSelector that keeps reference count per component instance
- *  in order to automatically clear the cache when all components using
- *  the selector are unmounted.
+ * Wrapper around useSelector that keeps reference count per set of arguments
+ *  in order to automatically evict the cached result when all components using
+ *  it are unmounted.
  * 
  * @param Function selector 
  * @param  {...any} args 
  */
 export const useComputation = (selector, ...args) => {
-  const ref = useRef();
-
-  if (!ref.current) {
-    ref.current = addRef(selector);
-  }
+  const key = selector.key.apply(null, args);
 
   useEffect(() => {
-    const refId = ref.current;
-    return () => removeRef(selector, refId);
-  }, [selector]);
+    addRef(selector, key);
+    return () => removeRef(selector, key, args);
+  }, [selector, key]);
 
   const result = useSelector(state => {
     return selector.withState(state).apply(null, args);
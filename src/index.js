@@ -1,3 +1,8 @@
+import { DefaultCache, IdentityCache, LruCache } from './caches';
+import { deepEqual, getEqualityFn } from './equality';
+import { stableSerialize } from './serialize';
+import { createPathGetter, formatPath, getRootKey, parsePath, setPath } from './paths';
+
 // From fast-memoize
 //  See: https://github.com/caiogondim/fast-memoize.js/blob/master/src/index.js
 function isPrimitive(value) {
@@ -19,119 +24,364 @@ const defaultSerialize = args => {
     if (args.length === 1 && isPrimitive(args[0])) {
         return `${args[0]}`;
     }
-    const key = JSON.stringify(args);
+    const key = stableSerialize(args);
     if (key.length >= 1024) {
         console.warn('Passing large objects as arguments to selectors might impact memory usage. Arguments:', args);
     }
     return key;
 };
 
-const getObserverKey = (id, arg) => {
-    if (arg === undefined) {
-        return `${id}`;
-    }
-    if (isPrimitive(arg)) {
-        return `${id}:${arg}`;
-    }
-    return `${id}:${JSON.stringify(arg)}`;
-}
+const serializeArg = arg => isPrimitive(arg) ? `${arg}` : stableSerialize(arg);
 
-// Also from fast-memoize
-class DefaultCache {
-    constructor() {
-        this.cache = Object.create(null);
+// Each serialized argument is a self delimited value, so joining them
+//  with ':' can't produce the same key for different arguments.
+const getObserverKey = (id, args) => {
+    let key = `${id}`;
+    for (let i = 0, l = args.length; i < l; ++i) {
+        key += `:${serializeArg(args[i])}`;
     }
+    return key;
+};
 
-    // has(key) {
-    //     return (key in this.cache);
-    // }
+const applyResultFunc = (resultFunc, state, args) => {
+    switch (args.length) {
+        case 0: return resultFunc(state);
+        case 1: return resultFunc(state, args[0]);
+        default: return resultFunc.apply(null, [state].concat(args));
+    }
+};
 
-    get(key) {
-        return this.cache[key];
+// A computation stores the result of a selector for a set of arguments
+//  together with its direct dependencies, in the order they were read:
+//    - observers, validated by re-running them and comparing their results.
+//    - selectors, validated by comparing the version of their computation.
+//  A new version is assigned every time a selector produces a new result,
+//  so unchanged subtrees of selectors are skipped.
+class Computation {
+    constructor(key, args, version) {
+        this.key = key;
+        this.args = args;
+        this.version = version;
+        this.validatedAt = 0;      // epoch of the context when last validated
+        this.computedAt = 0;       // epoch of the context when computed
+        this.mocked = false;
+        this.failed = false;       // the result is an error thrown by the selector
+        this.dependenciesList = []; // list of dependencies, used for fast iteration
+        this.dependenciesIdx = new Map(); // index by key, used to avoid duplicates
     }
 
-    set(key, value) {
-        this.cache[key] = value;
+    addDependency(key, dependency) {
+        if (!this.dependenciesIdx.has(key)) {
+            this.dependenciesIdx.set(key, dependency);
+            this.dependenciesList.push(dependency);
+        }
     }
 
-    clear() {
-        this.cache = Object.create(null);
+    addObserver(record) {
+        this.addDependency(getObserverKey(record.observer.id, record.args), record);
     }
-}
 
-class Computation {
-    constructor() {
-        this.observersList = []; // list of observers, used for fast iteration
-        this.observersIdx = {};   // index by key, used to merge with other computation objects
+    // Selectors are indexed by computation, the same computation
+    //  is returned when invoked with equivalent arguments.
+    addSelector(selector, args, computation) {
+        this.addDependency(computation, {
+            selector,
+            args,
+            computation,
+            version: computation.version
+        });
     }
 
-    addObserver(observer) {
-        const key = getObserverKey(observer.id, observer.arg);
-        this.observersIdx[key] = observer;
-        this.observersList = Object.values(this.observersIdx);
+    dependenciesChanged(ctx) {
+        const state = ctx.state;
+        // Mocked results are kept until the state changes
+        if (this.mocked && state !== this.mockedState) {
+            return true;
+        }
+        for (let i = 0, l = this.dependenciesList.length; i < l; ++i) {
+            const dependency = this.dependenciesList[i];
+            if (dependency.selector) {
+                const computation = dependency.selector.getComputation(dependency.args, true);
+                if (computation.version !== dependency.version) {
+                    return true;
+                }
+                dependency.computation = computation;
+            } else {
+                const observer = dependency.observer;
+                // Observers declaring their path are skipped if it wasn't changed
+                if (observer.root !== undefined && dependency.checkedAt >= ctx.changedAt(observer.root)) {
+                    continue;
+                }
+                const newResult = applyResultFunc(observer.resultFunc, state, dependency.args);
+                if (! dependency.isEqual(newResult, dependency.result)) {
+                    return true;
+                }
+                dependency.checkedAt = ctx.stateVersion;
+            }
+        }
+
+        return false;
     }
 
-    mergeObservers(other) { 
-        // Fast merge using the indexes
-        Object.assign(
-            this.observersIdx,
-            other.observersIdx
-        );
-        // Regenerate the iteration list
-        this.observersList = Object.values(this.observersIdx);
+    // For testing, returns the keys of the observers this computation
+    //  depends on, including the ones of its selectors.
+    getObserversIds() {
+        const ids = new Set();
+        this.collectObserversIds(ids);
+        return Array.from(ids);
     }
 
-    dependenciesChanged(state) {
-        for (let i = 0, l = this.observersList.length; i < l; ++i) {
-            const observer = this.observersList[i];
-            const newResult = observer.arg === undefined
-                ? observer.resultFunc(state)
-                : observer.resultFunc(state, observer.arg);
+    collectObserversIds(ids) {
+        this.dependenciesIdx.forEach((dependency, key) => {
+            if (dependency.selector) {
+                dependency.computation.collectObserversIds(ids);
+            } else {
+                ids.add(key);
+            }
+        });
+    }
 
-            if (! observer.isEqual(newResult, observer.result)) {
-                return true;
+    inspect() {
+        const dependencies = [];
+        const selectors = [];
+        for (let i = 0, l = this.dependenciesList.length; i < l; ++i) {
+            const dependency = this.dependenciesList[i];
+            if (dependency.selector) {
+                selectors.push({
+                    id: dependency.selector.id,
+                    name: dependency.selector.name,
+                    args: dependency.args,
+                    version: dependency.version
+                });
+            } else {
+                dependencies.push({
+                    id: dependency.observer.id,
+                    name: dependency.observer.name,
+                    args: dependency.args,
+                    value: dependency.result
+                });
             }
         }
+        const snapshot = {
+            key: this.key,
+            args: this.args,
+            value: this.result,
+            version: this.version,
+            dependencies,
+            selectors
+        };
+        if (this.failed) {
+            snapshot.error = this.error;
+        }
+        return snapshot;
+    }
 
-        return false;
+    // Returns a JSON compatible snapshot, dependencies are referenced by name
+    dehydrate() {
+        const observers = [];
+        const selectors = [];
+        for (let i = 0, l = this.dependenciesList.length; i < l; ++i) {
+            const dependency = this.dependenciesList[i];
+            if (dependency.selector) {
+                selectors.push({ name: dependency.selector.name, args: dependency.args });
+            } else {
+                observers.push({ name: dependency.observer.name, args: dependency.args, value: dependency.result });
+            }
+        }
+        return { args: this.args, result: this.result, observers, selectors };
     }
 
-    // For testing
-    getObserversIds() {
-        return Object.keys(this.observersIdx);
+    // Restores the dependencies of a dehydrated entry. Returns false if
+    //  any of them can't be found in this context.
+    hydrate(entry, observers, selectors) {
+        for (let i = 0, l = entry.observers.length; i < l; ++i) {
+            const { name, args, value } = entry.observers[i];
+            const observer = observers.get(name);
+            if (!observer) {
+                return false;
+            }
+            this.addObserver(createHydratedRecord(observer, args, value));
+        }
+        for (let i = 0, l = entry.selectors.length; i < l; ++i) {
+            const { name, args } = entry.selectors[i];
+            const selector = selectors.get(name);
+            const computation = selector && selector.cache.get(selector.lookup(args));
+            if (!computation) {
+                return false;
+            }
+            this.addSelector(selector, args, computation);
+        }
+        return true;
     }
 }
 
+// Hydrated values are not the same instances read on the client, they are
+//  compared structurally the first time and then replaced by the new ones.
+const createHydratedRecord = (observer, args, value) => {
+    const record = {
+        observer,
+        args,
+        result: value,
+        checkedAt: -1,
+        isEqual(newResult, result) {
+            if (!observer.isEqual(newResult, result) && !deepEqual(newResult, result)) {
+                return false;
+            }
+            record.result = newResult;
+            record.isEqual = observer.isEqual;
+            return true;
+        }
+    };
+    return record;
+};
+
 const createDefaultCache = () => new DefaultCache();
 
+const createCache = options => {
+    if (options.cache) {
+        return options.cache;
+    }
+    if (options.maxSize !== undefined) {
+        return new LruCache(options.maxSize);
+    }
+    return createDefaultCache();
+};
+
+// Returns the cache and serialize function used by a selector. `lookup`
+//  returns the key of arguments that are only read, unlike serialize it
+//  doesn't add nodes to the trie of identity caches.
+const createCacheOptions = options => {
+    if (options.argsEquality === undefined || options.argsEquality === 'serialize') {
+        const serialize = options.serialize || defaultSerialize;
+        return { cache: createCache(options), serialize, lookup: serialize };
+    }
+    if (options.argsEquality !== 'identity') {
+        throw new Error(`Unknown argsEquality "${options.argsEquality}", expected "serialize" or "identity"`);
+    }
+    if (options.cache || options.serialize || options.maxSize !== undefined) {
+        throw new Error('argsEquality "identity" cannot be combined with the cache, serialize or maxSize options');
+    }
+    const cache = new IdentityCache();
+    return { cache, serialize: cache.serialize, lookup: cache.find };
+};
+
+// Custom caches are only required to implement get, set and clear
+const deleteFromCache = (cache, key) => {
+    if (typeof cache.delete === 'function') {
+        cache.delete(key);
+    } else {
+        cache.set(key, undefined);
+    }
+};
+
 const defaultEquals = (a, b) => a === b;
 
+const hasOwn = Object.prototype.hasOwnProperty;
+
+const isPlainObject = value => {
+    if (value === null || typeof value !== 'object') {
+        return false;
+    }
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+};
+
+// Returns the top level keys with a different value, or undefined if
+//  they can't be known, e.g. when the state was mutated in place.
+const diffRootKeys = (prevState, newState) => {
+    if (prevState === newState || !isPlainObject(prevState) || !isPlainObject(newState)) {
+        return undefined;
+    }
+    const keys = [];
+    for (const key in newState) {
+        if (hasOwn.call(newState, key) && (!hasOwn.call(prevState, key) || prevState[key] !== newState[key])) {
+            keys.push(key);
+        }
+    }
+    for (const key in prevState) {
+        if (hasOwn.call(prevState, key) && !hasOwn.call(newState, key)) {
+            keys.push(key);
+        }
+    }
+    return keys;
+};
+
+const getChangedRootKeys = changedPaths => {
+    const keys = [];
+    for (let i = 0, l = changedPaths.length; i < l; ++i) {
+        const key = getRootKey(parsePath(changedPaths[i]));
+        if (key === undefined) {
+            return undefined;
+        }
+        keys.push(key);
+    }
+    return keys;
+};
+
+// Snapshots reference observers and selectors by name, which must be unique
+const indexByName = (list, type) => {
+    const index = new Map();
+    for (let i = 0, l = list.length; i < l; ++i) {
+        const name = list[i].name;
+        if (index.has(name)) {
+            throw new Error(`Duplicate ${type} name "${name}", names must be unique to dehydrate and hydrate`);
+        }
+        index.set(name, list[i]);
+    }
+    return index;
+};
+
+// Selector being computed, of any context
+let computingSelector = null;
+
+// Observers and selectors of another context can't be tracked,
+//  reading them would return stale results.
+const checkContext = (type, name, ctx) => {
+    if (computingSelector !== null && computingSelector.ctx !== ctx) {
+        throw new Error(
+            `${type} "${name}" was called while computing selector "${computingSelector.name}" of another context. ` +
+            'Selectors can only read observers and selectors of their own context'
+        );
+    }
+};
+
 class Observer {
-    constructor(id, resultFunc, isEqual, ctx) {
+    constructor(id, name, resultFunc, isEqual, ctx, root) {
         this.id = `${id}`; // ensure string so that Computation can index by Id
+        this.name = name;
         this.resultFunc = resultFunc;
         this.isEqual = isEqual;
         this.ctx = ctx;
+        // Top level key of the state read by the observer, if known
+        this.root = root;
     }
 
-    invoke() {
-        if (arguments.length > 1) {
-            throw new Error('Observer methods cannot be invoked with more than one argument');
-        }
-        const arg = arguments.length ? arguments[0] : undefined;
-        const result = arg !== undefined
-            ? this.resultFunc(this.ctx.state, arg)
-            : this.resultFunc(this.ctx.state);
+    // Replaces the result of the observer for any arguments, selectors
+    //  reading it are recomputed. Returns a function to restore it.
+    mock(value) {
+        const resultFunc = this.resultFunc;
+        this.resultFunc = () => value;
+        this.ctx.invalidate();
+        return () => {
+            this.resultFunc = resultFunc;
+            this.ctx.invalidate();
+        };
+    }
+
+    invoke(...args) {
+        checkContext('Observer', this.name, this.ctx);
+        const result = applyResultFunc(this.resultFunc, this.ctx.state, args);
 
         // Create a link between this observer and
-        //  the selectors calling it.
-        for (let i = 0, l = Context.callStack.length; i < l; ++i) { 
-            Context.callStack[i].addObserver({
-                id: this.id,
+        //  the selector of the same context calling it.
+        const callStack = this.ctx.callStack;
+        if (callStack.length > 0) {
+            callStack[callStack.length - 1].addObserver({
+                observer: this,
                 isEqual: this.isEqual,
-                resultFunc: this.resultFunc,
-                arg,
+                args,
                 result,
+                checkedAt: this.ctx.stateVersion
             });
         }
 
@@ -141,23 +391,38 @@ class Observer {
     getProxy() {
         const proxy = this.invoke.bind(this);
         proxy.id = this.id;
-        proxy.key = arg => getObserverKey(this.id, arg);
+        proxy.displayName = this.name;
+        proxy.key = (...args) => getObserverKey(this.id, args);
+        proxy.mock = this.mock.bind(this);
         return proxy;
     }
 }
 
 class Selector {
-    constructor(computeFunc, cache, serialize, ctx) {
+    constructor(id, computeFunc, ctx, options) {
+        this.id = `${id}`;
+        this.name = options.name;
         this.recomputations = 0;
+        this.cacheHits = 0;
         this.computeFunc = computeFunc;
-        this.cache = cache;
-        this.serialize = serialize;
+        this.cache = options.cache;
+        this.serialize = options.serialize;
+        this.lookup = options.lookup;
+        this.resultEquals = options.resultEquals;
+        this.memoizeErrors = options.memoizeErrors;
+        this.setter = options.setter;
         this.ctx = ctx;
     }
 
+    createComputation(cacheKey, args) {
+        return new Computation(cacheKey, Array.from(args), ++this.ctx.numVersions);
+    }
+
     mock() {
         const cacheKey = this.serialize(arguments);
-        const computation = new Computation(cacheKey);
+        const computation = this.createComputation(cacheKey, arguments);
+        computation.mocked = true;
+        computation.mockedState = this.ctx.state;
         this.cache.set(cacheKey, computation);
         return {
             result(res) {
@@ -170,108 +435,754 @@ class Selector {
         this.cache.clear();
     }
 
-    invoke() {
-        const cacheKey = this.serialize(arguments);
+    // Writes a value through the setter of the selector. The setter can
+    //  return an update that is applied by the context.
+    set(value, ...args) {
+        if (!this.setter) {
+            throw new Error(`Selector "${this.name}" is not writable, define it with { get, set }`);
+        }
+        const update = this.setter(value, ...args);
+        if (update !== undefined) {
+            this.ctx.update(update);
+        }
+    }
+
+    // Removes the cached result for the given arguments
+    evict() {
+        deleteFromCache(this.cache, this.lookup(arguments));
+    }
+
+    // Returns the cached computation for the given arguments,
+    //  recomputing it if its dependencies changed. `isDependency` is set
+    //  when a parent selector validates its dependencies.
+    getComputation(args, isDependency) {
+        const ctx = this.ctx;
+        // Computations are validated only once per epoch. Unless the state
+        //  is immutable, each top level read starts a new epoch since the
+        //  state could have been mutated in place.
+        if (ctx.readDepth === 0 && (!ctx.immutable || ctx.batchDepth > 0)) {
+            ctx.epoch = ++ctx.numEpochs;
+        }
+        ++ctx.readDepth;
+        try {
+            return this.validate(args, isDependency);
+        } finally {
+            --ctx.readDepth;
+        }
+    }
+
+    validate(args, isDependency) {
+        const cacheKey = this.serialize(args);
         let computation = this.cache.get(cacheKey);
+        // Failed computations are cached so that parent selectors see the
+        //  same version while their dependencies don't change, but unless
+        //  memoizeErrors is enabled calling the selector computes them again,
+        //  at most once per epoch.
+        const retry = !!computation && computation.failed && !this.memoizeErrors &&
+            !isDependency && computation.computedAt !== this.ctx.epoch;
 
-        if (
-            !computation ||
-            computation.dependenciesChanged(this.ctx.state)  // dependencies didn't change
-        ) {
-            // if dependencies changed it means that the observed state changed
-            //  therefore we should invalidate the cache
-            if (computation) {
-                this.cache.clear();
+        if (computation && !retry && computation.validatedAt === this.ctx.epoch) {
+            return computation;
+        }
+
+        const changed = !computation || (
+            computation.validatedAt !== this.ctx.epoch &&
+            computation.dependenciesChanged(this.ctx)
+        );
+        if (changed || retry) {
+            // if dependencies changed it means that the state observed by this
+            //  cache entry changed. Only this entry is replaced, computations
+            //  stored for other arguments keep their own observers and are
+            //  validated independently when they are read.
+            const previous = computation;
+            if (previous) {
+                deleteFromCache(this.cache, cacheKey);
             }
 
-            // always create a new computation before we recompute the result 
+            // always create a new computation before we recompute the result
             //  so that we can untrack previous dependencies.
-            computation = new Computation(cacheKey);
+            computation = this.compute(cacheKey, args);
+            computation.computedAt = this.ctx.epoch;
 
-            // Compute new result
-            Context.callStack.push(computation);
-            try {
-                computation.result = this.computeFunc.apply(null, arguments);
-            } finally {
-                Context.callStack.pop();
+            // Errors are thrown by invoke after linking the computation
+            //  to the parent selector, so that the parent depends on it.
+            //  An error thrown again with the same dependencies keeps the
+            //  version, so that parents memoizing it are not recomputed.
+            if (!changed && computation.failed) {
+                computation.version = previous.version;
+            } else if (
+                previous && this.resultEquals && !computation.failed && !previous.failed &&
+                this.resultEquals(computation.result, previous.result)
+            ) {
+                // Keep the previous reference and version when the new result
+                //  is equal to it, so that parent selectors are not recomputed.
+                computation.result = previous.result;
+                computation.version = previous.version;
             }
 
-            // Store new computation in the cache
+            // Store new computation in the cache, errors that are not
+            //  memoized are not counted as results
             this.cache.set(cacheKey, computation);
-            ++this.recomputations;
+            if (!computation.failed || this.memoizeErrors) {
+                ++this.recomputations;
+            }
+        } else if (this.ctx.dev && !computation.failed && ++this.cacheHits % this.ctx.devCheckInterval === 0) {
+            this.checkPurity(computation, args);
         }
 
-        // Share observer dependencies with the parent selectors.
-        for (let i = 0, l = Context.callStack.length; i < l; ++i) {
-            Context.callStack[i].mergeObservers(computation);
+        computation.validatedAt = this.ctx.epoch;
+        return computation;
+    }
+
+    invoke() {
+        checkContext('Selector', this.name, this.ctx);
+        const computation = this.getComputation(arguments);
+
+        // Parent selectors depend on the version of this computation
+        //  instead of the observers it read.
+        const callStack = this.ctx.callStack;
+        if (callStack.length > 0) {
+            callStack[callStack.length - 1].addSelector(this, Array.from(arguments), computation);
         }
 
+        if (computation.failed) {
+            throw computation.error;
+        }
         return computation.result;
     };
-    
+
+    compute(cacheKey, args) {
+        const computation = this.createComputation(cacheKey, args);
+        try {
+            computation.result = this.track(computation, () => this.computeFunc.apply(null, args));
+        } catch (error) {
+            this.ctx.reportError(error, this, args);
+            computation.failed = true;
+            computation.error = error;
+        }
+        return computation;
+    }
+
+    // Runs fn tracking the dependencies it reads in the given computation.
+    track(computation, fn) {
+        const callStack = this.ctx.callStack;
+        const parentSelector = computingSelector;
+        computingSelector = this;
+        callStack.push(computation);
+        try {
+            return fn();
+        } finally {
+            callStack.pop();
+            computingSelector = parentSelector;
+        }
+    }
+
+    // Recomputes the result without updating the cache and warns if it differs
+    //  from the cached one. This usually means that the compute function reads
+    //  values that are not tracked, e.g. the state through a closure.
+    checkPurity(computation, args) {
+        const result = this.track(new Computation(), () => this.computeFunc.apply(null, args));
+        if (deepEqual(result, computation.result)) {
+            return true;
+        }
+        console.warn(
+            `Selector "${this.name}" returned a different result for the same dependencies. ` +
+            'Make sure it only reads the state through observers. Dependencies:',
+            computation.getObserversIds()
+        );
+        return false;
+    }
+
+    verify() {
+        const computation = this.cache.get(this.lookup(arguments));
+        if (!computation || computation.failed || computation.dependenciesChanged(this.ctx)) {
+            return true;
+        }
+        return this.checkPurity(computation, arguments);
+    }
+
+    // Calls listener every time a state change produces a different result
+    //  for the given arguments.
+    subscribe(listener, ...args) {
+        let result = this.invoke.apply(this, args);
+        return this.ctx.subscribe(() => {
+            let newResult;
+            try {
+                newResult = this.invoke.apply(this, args);
+            } catch (error) {
+                // A failing selector must not prevent setState
+                //  from notifying the other listeners.
+                if (this.ctx.onError) {
+                    this.ctx.reportError(error, this, args);
+                } else {
+                    console.error(`Selector "${this.name}" threw while notifying its subscribers:`, error);
+                }
+                return;
+            }
+            if (newResult !== result) {
+                const prevResult = result;
+                result = newResult;
+                listener(newResult, prevResult);
+            }
+        });
+    }
+
     dependencies() {
-        const cacheKey = this.serialize(arguments);
-        const computation = this.cache.get(cacheKey);
+        const computation = this.cache.get(this.lookup(arguments));
         return computation ? computation.getObserversIds() : [];
     }
 
+    inspect() {
+        const entries = [];
+        // Custom caches are not required to be iterable
+        if (typeof this.cache.forEach === 'function') {
+            this.cache.forEach(computation => {
+                if (computation) {
+                    entries.push(computation.inspect());
+                }
+            });
+        }
+        return {
+            id: this.id,
+            name: this.name,
+            recomputations: this.recomputations,
+            entries
+        };
+    }
+
+    dehydrate() {
+        const entries = [];
+        if (typeof this.cache.forEach === 'function') {
+            this.cache.forEach(computation => {
+                // Errors can't be serialized
+                if (computation && !computation.failed) {
+                    entries.push(computation.dehydrate());
+                }
+            });
+        }
+        return entries;
+    }
+
+    // Stores a dehydrated result, like mock() its dependencies are linked
+    //  afterwards by the context.
+    hydrate(entry) {
+        const cacheKey = this.serialize(entry.args);
+        const computation = this.createComputation(cacheKey, entry.args);
+        computation.result = entry.result;
+        // Never validated, immutable contexts start at epoch 0 as well
+        computation.validatedAt = -1;
+        this.cache.set(cacheKey, computation);
+        return computation;
+    }
+
     getProxy(context) {
         const proxy = this.invoke.bind(this);
+        proxy.id = this.id;
+        proxy.displayName = this.name;
         proxy.dependencies = this.dependencies.bind(this);
         proxy.mock = this.mock.bind(this);
         proxy.clearCache = this.clearCache.bind(this);
+        proxy.evict = this.evict.bind(this);
+        proxy.set = this.set.bind(this);
+        proxy.key = (...args) => this.serialize(args);
+        proxy.subscribe = this.subscribe.bind(this);
+        proxy.verify = this.verify.bind(this);
         proxy.recomputations = () => this.recomputations;
         proxy.withState = state => {
-            context.setState(state);
+            context.withState(state);
             return proxy;
         };
         return proxy;
     }
 }
 
+// Async selectors are written as generator functions that yield promises
+//  instead of awaiting them. Resuming the generator from here allows to
+//  track the observers it reads after each yield, which wouldn't be
+//  possible after an await.
+class AsyncSelector extends Selector {
+    compute(cacheKey, args) {
+        const computation = this.createComputation(cacheKey, args);
+        const iterator = this.track(computation, () => this.computeFunc.apply(null, args));
+        if (!iterator || typeof iterator.next !== 'function') {
+            throw new Error('Async selectors must be generator functions');
+        }
+
+        computation.result = new Promise((resolve, reject) => {
+            const step = (method, value) => {
+                let next;
+                try {
+                    next = this.track(computation, () => iterator[method](value));
+                } catch (error) {
+                    reject(error);
+                    return;
+                }
+                if (next.done) {
+                    resolve(next.value);
+                } else {
+                    Promise.resolve(next.value).then(
+                        result => step('next', result),
+                        error => step('throw', error)
+                    );
+                }
+            };
+            step('next');
+        });
+
+        // Rejected promises are not memoized unless memoizeErrors is enabled
+        computation.result.catch(error => {
+            this.ctx.reportError(error, this, args);
+            if (!this.memoizeErrors && this.cache.get(cacheKey) === computation) {
+                deleteFromCache(this.cache, cacheKey);
+            }
+        });
+
+        return computation;
+    }
+
+    // Re-running a generator produces a new promise, results can't be compared
+    checkPurity() {
+        return true;
+    }
+
+    // Promises can't be serialized
+    dehydrate() {
+        return [];
+    }
+}
+
 class Context {
 
-    constructor(initialState) {
+    constructor(initialState, options = {}) {
         this.state = initialState;
+        // In dev mode every nth cache hit is verified by recomputing its result
+        this.dev = !!options.dev;
+        this.devCheckInterval = options.devCheckInterval || 10;
+        // When the state is only replaced through setState, each state
+        //  starts a new epoch and repeated reads skip validation.
+        this.immutable = !!options.immutable;
+        // Applies the updates returned by writable selectors
+        this.customUpdate = options.update;
+        // Reports errors thrown by selectors, nested selectors
+        //  report each error only once.
+        this.onError = options.onError;
+        this.reportedErrors = new WeakSet();
+        this.store = undefined;
+        this.listeners = [];
+        // Dependency tracking is scoped to the context, selectors
+        //  only record observers created by the same context.
+        this.callStack = [];
+        // Computations are versioned, parent selectors store the versions of
+        //  the child computations they read to detect changes.
+        this.numVersions = 0;
+        this.numEpochs = 0;
+        this.epoch = 0;
+        this.readDepth = 0;
+        this.batchDepth = 0;
+        this.batchChanged = false;
+        this.numObservers = 0;
+        this.numSelectors = 0;
+        this.numFamilies = 0;
+        // Parsed paths used by setIn
+        this.paths = new Map();
+        // Path observers without a name, one per path and equality function
+        this.pathObservers = new Map();
+        // Observers declaring a path are only checked if its top level key
+        //  changed after they were read. Versions increase with each state.
+        this.stateVersion = 0;
+        this.allChangedAt = 0;
+        this.keyVersions = new Map();
+        // Registries used to inspect the dependency graph and to hydrate
+        //  selectors. They keep every observer and selector alive, so they
+        //  are only enabled with the registry or dev options.
+        this.registry = !!(options.registry || options.dev);
+        this.observers = [];
+        this.selectors = [];
+    }
+
+    requireRegistry(method) {
+        if (!this.registry) {
+            throw new Error(`${method}() requires a context created with the registry or dev options`);
+        }
     }
 
     createObserver(resultFunc, options = {}) {
-        if (resultFunc.length > 2) {
-            throw new Error('Observer methods cannot receive more than two arguments');
+        const isEqual = getEqualityFn(options.isEqual) || defaultEquals;
+        if (typeof resultFunc !== 'function') {
+            return this.createPathObserver(parsePath(resultFunc), isEqual, options);
         }
+        const id = ++this.numObservers;
+        // Observers declaring their path are trusted to only read it
+        const root = options.path === undefined ? undefined : getRootKey(parsePath(options.path));
+        return this.registerObserver(id, options.name || `observer-${id}`, resultFunc, isEqual, root);
+    }
 
-        const id = ++Context.numObservers;
-        // const name = options.name || `observer-${id}`; 
-        const isEqual = options.isEqual || defaultEquals;
-        const observer = new Observer(id, resultFunc, isEqual, this);
+    // Path observers are identified by their path, which makes dependencies
+    //  readable. Creating the same path twice returns the same observer, so
+    //  that their names are unique.
+    createPathObserver(path, isEqual, options) {
+        const formatted = formatPath(path);
+        // The state can be mutated in place unless the context is immutable,
+        //  so the top level key is only used if it was given explicitly.
+        const root = this.immutable || options.path !== undefined ? getRootKey(path) : undefined;
+        if (options.name !== undefined) {
+            // Named observers can share a path, they are numbered like function observers
+            return this.registerObserver(++this.numObservers, options.name, createPathGetter(path), isEqual, root);
+        }
+        let observers = this.pathObservers.get(formatted);
+        if (!observers) {
+            observers = [];
+            this.pathObservers.set(formatted, observers);
+        }
+        let entry = observers.find(observer => observer.isEqual === isEqual);
+        if (!entry) {
+            // Paths read with different equality functions need different names
+            const name = observers.length === 0 ? formatted : `${formatted}#${observers.length + 1}`;
+            entry = { isEqual, proxy: this.registerObserver(`path:${name}`, name, createPathGetter(path), isEqual, root) };
+            observers.push(entry);
+        }
+        return entry.proxy;
+    }
+
+    registerObserver(id, name, resultFunc, isEqual, root) {
+        const observer = new Observer(id, name, resultFunc, isEqual, this, root);
+        if (this.registry) {
+            this.observers.push(observer);
+        }
         return observer.getProxy();
     }
 
+    addSelector(SelectorClass, definition, options) {
+        const id = ++this.numSelectors;
+        const { cache, serialize, lookup } = createCacheOptions(options);
+        // Writable selectors are defined as { get, set }
+        const computeFunc = typeof definition === 'function' ? definition : definition.get;
+        const selector = new SelectorClass(id, computeFunc, this, {
+            name: options.name || computeFunc.name || `selector-${id}`,
+            cache,
+            serialize,
+            lookup,
+            resultEquals: getEqualityFn(options.resultEquals),
+            memoizeErrors: !!options.memoizeErrors,
+            setter: typeof definition === 'function' ? undefined : definition.set
+        });
+        if (this.registry) {
+            this.selectors.push(selector);
+        }
+        return selector;
+    }
+
+    removeSelector(selector) {
+        selector.clearCache();
+        this.selectors = this.selectors.filter(s => s !== selector);
+    }
+
     createSelector(computeFunc, options = {}) {
-        const cache = options.cache || createDefaultCache();
-        const serialize = options.serialize || defaultSerialize;
-        const selector = new Selector(computeFunc, cache, serialize, this);
-        return selector.getProxy(this);
+        return this.addSelector(Selector, computeFunc, options).getProxy(this);
+    }
+
+    createAsyncSelector(computeFunc, options = {}) {
+        return this.addSelector(AsyncSelector, computeFunc, options).getProxy(this);
+    }
+
+    // Returns a function creating one selector per key, computeFunc receives
+    //  the key followed by the arguments of the selector. Selectors of a
+    //  family can be disposed to free their cache.
+    createSelectorFamily(computeFunc, options = {}) {
+        if (options.cache) {
+            throw new Error('Selector families create a cache for each selector, use the maxSize option instead of cache');
+        }
+        const id = ++this.numFamilies;
+        const name = options.name || computeFunc.name || `family-${id}`;
+        const members = new Map();
+
+        const family = key => {
+            const memberKey = serializeArg(key);
+            let member = members.get(memberKey);
+            if (!member) {
+                const selector = this.addSelector(
+                    Selector,
+                    (...args) => computeFunc(key, ...args),
+                    Object.assign({}, options, { name: `${name}(${memberKey})` })
+                );
+                member = { key, selector, proxy: selector.getProxy(this) };
+                members.set(memberKey, member);
+            }
+            return member.proxy;
+        };
+
+        family.displayName = name;
+        family.keys = () => Array.from(members.values(), member => member.key);
+        family.dispose = key => {
+            const memberKey = serializeArg(key);
+            const member = members.get(memberKey);
+            if (member) {
+                members.delete(memberKey);
+                this.removeSelector(member.selector);
+            }
+        };
+        family.disposeAll = () => {
+            members.forEach(member => this.removeSelector(member.selector));
+            members.clear();
+        };
+        return family;
+    }
+
+    // Returns a snapshot of the dependency graph, used by devtools and tests
+    inspect() {
+        this.requireRegistry('inspect');
+        return {
+            observers: this.observers.map(observer => ({
+                id: observer.id,
+                name: observer.name
+            })),
+            selectors: this.selectors.map(selector => selector.inspect())
+        };
+    }
+
+    // Returns a JSON compatible snapshot of the cached results of the
+    //  selectors, to be restored on another context with hydrate().
+    dehydrate() {
+        this.requireRegistry('dehydrate');
+        const selectors = {};
+        indexByName(this.selectors, 'selector').forEach((selector, name) => {
+            const entries = selector.dehydrate();
+            if (entries.length > 0) {
+                selectors[name] = entries;
+            }
+        });
+        return { selectors };
+    }
+
+    hydrate(snapshot) {
+        this.requireRegistry('hydrate');
+        const observers = indexByName(this.observers, 'observer');
+        const selectors = indexByName(this.selectors, 'selector');
+        const hydrated = [];
+        // All entries are stored before linking dependencies, so that
+        //  child selectors can be found regardless of their order.
+        Object.keys(snapshot.selectors).forEach(name => {
+            const selector = selectors.get(name);
+            if (selector) {
+                snapshot.selectors[name].forEach(entry => {
+                    hydrated.push({ selector, entry, computation: selector.hydrate(entry) });
+                });
+            }
+        });
+        hydrated.forEach(({ selector, entry, computation }) => {
+            if (!computation.hydrate(entry, observers, selectors)) {
+                deleteFromCache(selector.cache, computation.key);
+            }
+        });
+    }
+
+    // changedPaths lists the paths that changed, only their top level key
+    //  is used. Without it the top level keys of both states are compared.
+    setState(newState, options = {}) {
+        if (!this.replaceState(newState, options.changedPaths)) {
+            return;
+        }
+        if (this.batchDepth > 0) {
+            this.batchChanged = true;
+        } else {
+            this.notify();
+        }
+    }
+
+    // Replaces the state without notifying the listeners. Returns false
+    //  when nothing changed: immutable states are never mutated in place,
+    //  so the same state keeps the results validated for it.
+    replaceState(newState, changedPaths) {
+        const prevState = this.state;
+        if (this.immutable && newState === prevState) {
+            return false;
+        }
+        this.state = newState;
+        this.trackChanges(prevState, newState, changedPaths);
+        if (this.batchDepth === 0) {
+            this.epoch = ++this.numEpochs;
+        }
+        return true;
+    }
+
+    // Used by selector.withState on every read, listeners are only
+    //  notified when the state is a new one.
+    withState(newState) {
+        if (newState === this.state) {
+            this.replaceState(newState);
+        } else {
+            this.setState(newState);
+        }
+    }
+
+    trackChanges(prevState, newState, changedPaths) {
+        const version = ++this.stateVersion;
+        const keys = changedPaths
+            ? getChangedRootKeys(changedPaths)
+            : diffRootKeys(prevState, newState);
+        if (!keys) {
+            this.allChangedAt = version;
+            return;
+        }
+        for (let i = 0, l = keys.length; i < l; ++i) {
+            this.keyVersions.set(keys[i], version);
+        }
+    }
+
+    // Returns the state version in which the given top level key last changed
+    changedAt(key) {
+        const version = this.keyVersions.get(key);
+        return version === undefined || version < this.allChangedAt ? this.allChangedAt : version;
+    }
+
+    reportError(error, selector, args) {
+        if (!this.onError) {
+            return;
+        }
+        if (error !== null && typeof error === 'object') {
+            if (this.reportedErrors.has(error)) {
+                return;
+            }
+            this.reportedErrors.add(error);
+        }
+        this.onError(error, { name: selector.name, args: Array.from(args) });
+    }
+
+    // Forces all the observers to be checked again, used when their
+    //  results change without a state change, e.g. when mocked.
+    invalidate() {
+        this.allChangedAt = ++this.stateVersion;
+        this.epoch = ++this.numEpochs;
+    }
+
+    // Runs fn applying all its setState calls as a single update,
+    //  listeners are notified once at the end of the outermost batch.
+    batch(fn) {
+        ++this.batchDepth;
+        try {
+            return fn();
+        } finally {
+            if (--this.batchDepth === 0 && this.batchChanged) {
+                this.batchChanged = false;
+                this.epoch = ++this.numEpochs;
+                this.notify();
+            }
+        }
+    }
+
+    getState() {
+        return this.state;
+    }
+
+    // Replaces the value at the given path with an immutable update,
+    //  placeholders are replaced by args.
+    setIn(path, value, ...args) {
+        let segments = this.paths.get(path);
+        if (!segments) {
+            segments = parsePath(path);
+            if (typeof path === 'string') {
+                this.paths.set(path, segments);
+            }
+        }
+        const newState = setPath(this.state, segments, value, args);
+        if (newState !== this.state) {
+            this.setState(newState);
+        }
+    }
+
+    subscribe(listener) {
+        this.listeners = this.listeners.concat(listener);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+
+    // Keeps the state in sync with a Redux compatible store.
+    //  Returns a function to disconnect from the store.
+    connectStore(store) {
+        const sync = () => {
+            const state = store.getState();
+            if (state !== this.state) {
+                this.setState(state);
+            }
+        };
+        sync();
+        const unsubscribe = store.subscribe(sync);
+        this.store = store;
+        return () => {
+            unsubscribe();
+            if (this.store === store) {
+                this.store = undefined;
+            }
+        };
+    }
+
+    // Applies an update with the update option of the context, otherwise
+    //  dispatches it to the connected store. Functions receive the state
+    //  and return the new one, stores only accept actions.
+    update(update) {
+        if (this.customUpdate) {
+            this.customUpdate(update);
+        } else if (this.store) {
+            if (typeof update === 'function') {
+                throw new Error('Updates dispatched to a store must be actions, use the update option to apply functions');
+            }
+            this.store.dispatch(update);
+        } else if (typeof update === 'function') {
+            this.setState(update(this.state));
+        } else {
+            throw new Error('Updates must be functions unless an update option or a store is provided');
+        }
+    }
+
+    notify() {
+        // subscribe and unsubscribe replace the array, so listeners added or
+        //  removed while notifying don't affect this iteration.
+        const listeners = this.listeners;
+        for (let i = 0, l = listeners.length; i < l; ++i) {
+            listeners[i](this.state);
+        }
     }
 
     getProxy() {
         return {
             createObserver: this.createObserver.bind(this),
             createSelector: this.createSelector.bind(this),
-            setState: newState => this.state = newState
+            createAsyncSelector: this.createAsyncSelector.bind(this),
+            createSelectorFamily: this.createSelectorFamily.bind(this),
+            setState: this.setState.bind(this),
+            getState: this.getState.bind(this),
+            setIn: this.setIn.bind(this),
+            update: this.update.bind(this),
+            batch: this.batch.bind(this),
+            subscribe: this.subscribe.bind(this),
+            connectStore: this.connectStore.bind(this),
+            inspect: this.inspect.bind(this),
+            dehydrate: this.dehydrate.bind(this),
+            hydrate: this.hydrate.bind(this)
         };
     }
 }
 
-Context.callStack = [];
-Context.numObservers = 0;
+export { DefaultCache, IdentityCache, LruCache, MaxSizeCache, TtlCache } from './caches';
+export { stableSerialize, identitySerialize } from './serialize';
+export { arrayItemsEqual, deepEqual, shallowEqual, structuralEqual } from './equality';
 
-export const createContext = initialState => {
-    const context = new Context(initialState);
+export const createContext = (initialState, options) => {
+    const context = new Context(initialState, options);
     return context.getProxy();
 };
 
 const context = createContext();
+export { context as defaultContext };
 export const createObserver = context.createObserver;
 export const createSelector = context.createSelector;
-export const setState = context.setState;
\ No newline at end of file
+export const createAsyncSelector = context.createAsyncSelector;
+export const createSelectorFamily = context.createSelectorFamily;
+export const setState = context.setState;
+export const getState = context.getState;
+export const setIn = context.setIn;
+export const update = context.update;
+export const batch = context.batch;
+export const subscribe = context.subscribe;
+export const connectStore = context.connectStore;
@@ -0,0 +1,86 @@
+// Paths are used as a shorthand to read and update nested state properties.
+//  'todoLists.:listId.todos', 'shop.items[id]' and ['todoLists', ':listId']
+//  are parsed into a list of segments, where placeholders are replaced by
+//  the arguments in the order they first appear.
+
+const isPlaceholder = segment => typeof segment === 'object';
+
+const createPlaceholder = (name, placeholders) => {
+    if (!placeholders.has(name)) {
+        placeholders.set(name, placeholders.size);
+    }
+    return { name, index: placeholders.get(name) };
+};
+
+const parseToken = (token, placeholders) => {
+    if (token[0] === '[') {
+        // Brackets contain an index or a placeholder, with or without ':'
+        const content = token.slice(1, -1);
+        if (/^\d+$/.test(content)) {
+            return Number(content);
+        }
+        return createPlaceholder(content[0] === ':' ? content.slice(1) : content, placeholders);
+    }
+    return token[0] === ':' ? createPlaceholder(token.slice(1), placeholders) : token;
+};
+
+export const parsePath = path => {
+    const placeholders = new Map();
+    let tokens;
+    if (Array.isArray(path)) {
+        tokens = path.map(token => typeof token === 'string' ? token : Number(token));
+    } else if (typeof path === 'string' && /^([^.[\]]+|\[[^[\]]+\])(\.[^.[\]]+|\[[^[\]]+\])*$/.test(path)) {
+        tokens = path.match(/[^.[\]]+|\[[^[\]]+\]/g);
+    } else {
+        throw new Error(`Invalid path ${JSON.stringify(path)}`);
+    }
+    return tokens.map(token => typeof token === 'number' ? token : parseToken(token, placeholders));
+};
+
+export const formatPath = segments => segments
+    .map(segment => isPlaceholder(segment) ? `:${segment.name}` : `${segment}`)
+    .join('.');
+
+// Returns the top level key of a path, or undefined if it is a placeholder
+export const getRootKey = segments => isPlaceholder(segments[0]) ? undefined : `${segments[0]}`;
+
+const getKey = (segment, args) => isPlaceholder(segment) ? args[segment.index] : segment;
+
+// Returns a function reading the path from the state, missing
+//  properties return undefined.
+export const createPathGetter = segments => {
+    const l = segments.length;
+    return (state, ...args) => {
+        let value = state;
+        for (let i = 0; i < l && value != null; ++i) {
+            value = value[getKey(segments[i], args)];
+        }
+        return value;
+    };
+};
+
+// Returns a copy of target with the value at the path replaced, only the
+//  objects and arrays along the path are copied. Missing objects are created
+//  and target is returned as is if the value doesn't change.
+export const setPath = (target, segments, value, args, i = 0) => {
+    if (i === segments.length) {
+        return value;
+    }
+    const key = getKey(segments[i], args);
+    const isObject = target != null && typeof target === 'object';
+    const current = isObject ? target[key] : undefined;
+    const next = setPath(current, segments, value, args, i + 1);
+    if (isObject && next === current && key in target) {
+        return target;
+    }
+    let copy;
+    if (Array.isArray(target)) {
+        copy = target.slice();
+    } else if (isObject) {
+        copy = Object.assign({}, target);
+    } else {
+        copy = {};
+    }
+    copy[key] = next;
+    return copy;
+};
@@ -0,0 +1,29 @@
+import { createContext, createElement, useContext, useSyncExternalStore } from "react";
+import { defaultContext } from "./index";
+
+const RecomputeContext = createContext(defaultContext);
+
+/**
+ * Provides the recompute context used by useRecompute in its subtree.
+ *  Components outside of a provider use the default context.
+ *
+ * @param Object props.context Context returned by createContext
+ */
+export const RecomputeProvider = ({ context, children }) =>
+  createElement(RecomputeContext.Provider, { value: context }, children);
+
+/**
+ * Reads a selector and subscribes to the state of the recompute context,
+ *  the component is rendered again only when the selector result changes.
+ *  Doesn't depend on any store, the state is updated with setState.
+ *
+ * @param Function selector
+ * @param  {...any} args
+ */
+export const useRecompute = (selector, ...args) => {
+  const context = useContext(RecomputeContext);
+  // Selectors are memoized, so the result is the same
+  //  until one of its dependencies changes.
+  const getResult = () => selector.apply(null, args);
+  return useSyncExternalStore(context.subscribe, getResult, getResult);
+};
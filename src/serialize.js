@@ -0,0 +1,114 @@
+// Serializers used to generate cache keys from the arguments of selectors
+//  and observers.
+
+const toString = Object.prototype.toString;
+
+// Values that can't be serialized by their contents are serialized by
+//  identity. Symbols can't be used as WeakMap keys.
+let numIds = 0;
+const objectIds = new WeakMap();
+const symbolIds = new Map();
+const getId = value => {
+    const ids = typeof value === 'symbol' ? symbolIds : objectIds;
+    let id = ids.get(value);
+    if (id === undefined) {
+        id = ++numIds;
+        ids.set(value, id);
+    }
+    return id;
+};
+
+const serializePrimitive = value => {
+    switch (typeof value) {
+        case 'string': return JSON.stringify(value);
+        case 'bigint': return `${value}n`;
+        case 'symbol': return `Symbol@${getId(value)}`;
+        case 'function': return `Function@${getId(value)}`;
+        default: return `${value}`; // number, boolean, null and undefined
+    }
+};
+
+const isArrayLike = value => Array.isArray(value) || toString.call(value) === '[object Arguments]';
+
+const serializeList = (items, ancestors) => {
+    const result = [];
+    for (let i = 0, l = items.length; i < l; ++i) {
+        result.push(serializeValue(items[i], ancestors));
+    }
+    return result;
+};
+
+const serializeObject = (value, ancestors) => {
+    const keys = Object.keys(value).sort();
+    const result = [];
+    for (let i = 0, l = keys.length; i < l; ++i) {
+        result.push(`${JSON.stringify(keys[i])}:${serializeValue(value[keys[i]], ancestors)}`);
+    }
+    return result;
+};
+
+const serializeContents = (value, ancestors) => {
+    if (isArrayLike(value)) {
+        return `[${serializeList(value, ancestors).join(',')}]`;
+    }
+    if (value instanceof Date) {
+        return `Date(${value.getTime()})`;
+    }
+    if (value instanceof RegExp) {
+        return `RegExp(${value})`;
+    }
+    if (value instanceof Map) {
+        const entries = [];
+        value.forEach((entryValue, entryKey) => {
+            entries.push(`${serializeValue(entryKey, ancestors)}=>${serializeValue(entryValue, ancestors)}`);
+        });
+        return `Map{${entries.sort().join(',')}}`;
+    }
+    if (value instanceof Set) {
+        return `Set{${serializeList(Array.from(value), ancestors).sort().join(',')}}`;
+    }
+    const proto = Object.getPrototypeOf(value);
+    const type = proto === Object.prototype || proto === null || !proto.constructor
+        ? ''
+        : proto.constructor.name;
+    return `${type}{${serializeObject(value, ancestors).join(',')}}`;
+};
+
+const serializeValue = (value, ancestors) => {
+    if (typeof value !== 'object' || value === null) {
+        return serializePrimitive(value);
+    }
+    // Circular references are serialized as the distance to the referenced ancestor
+    const index = ancestors.lastIndexOf(value);
+    if (index !== -1) {
+        return `~${ancestors.length - index}`;
+    }
+    ancestors.push(value);
+    try {
+        return serializeContents(value, ancestors);
+    } finally {
+        ancestors.pop();
+    }
+};
+
+// Serializes a value by its contents. Object keys are sorted, values are
+//  tagged with their type so that e.g. 1 and '1', a Date and its timestamp
+//  or a Map and an object produce different keys, and circular references
+//  are supported. Functions and symbols are serialized by identity.
+export const stableSerialize = value => serializeValue(value, []);
+
+// Serializes the arguments by identity, objects produce the same key only
+//  when the same instance is passed. Identifiers are kept in a WeakMap so
+//  they don't prevent objects from being garbage collected.
+export const identitySerialize = args => {
+    const result = [];
+    for (let i = 0, l = args.length; i < l; ++i) {
+        const arg = args[i];
+        result.push(
+            (typeof arg === 'object' && arg !== null)
+                ? `Object@${getId(arg)}`
+                : serializePrimitive(arg)
+        );
+    }
+    return `[${result.join(',')}]`;
+};
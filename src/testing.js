@@ -0,0 +1,88 @@
+// Helpers to unit test observers and selectors,
+//  available as @jvitela/recompute/testing
+
+// Functions restoring the active mocks, grouped by withMocks scopes
+let scopes = [[]];
+
+const restoreScope = scope => {
+    // Restored in reverse order so that mocking an observer twice
+    //  restores its original result
+    while (scope.length > 0) {
+        scope.pop()();
+    }
+};
+
+// Makes an observer return the given value for any arguments until the
+//  mocks are reset. Selectors reading it are recomputed.
+export const mockObserver = (observer, value) => {
+    const restore = observer.mock(value);
+    scopes[scopes.length - 1].push(restore);
+    return restore;
+};
+
+export const resetAllMocks = () => {
+    for (let i = scopes.length - 1; i >= 0; --i) {
+        restoreScope(scopes[i]);
+    }
+};
+
+// Runs fn and restores the mocks created inside it when it returns, or
+//  when the returned promise settles.
+export const withMocks = fn => {
+    const scope = [];
+    scopes.push(scope);
+    const restore = () => {
+        scopes = scopes.filter(s => s !== scope);
+        restoreScope(scope);
+    };
+
+    let result;
+    try {
+        result = fn();
+    } catch (error) {
+        restore();
+        throw error;
+    }
+    if (result && typeof result.then === 'function') {
+        return result.then(
+            value => {
+                restore();
+                return value;
+            },
+            error => {
+                restore();
+                throw error;
+            }
+        );
+    }
+    restore();
+    return result;
+};
+
+export const expectRecomputations = (selector, expected) => {
+    const actual = selector.recomputations();
+    if (actual !== expected) {
+        throw new Error(
+            `Expected selector "${selector.displayName}" to be recomputed ${expected} times, ` +
+            `but it was recomputed ${actual} times`
+        );
+    }
+};
+
+// Checks the observers read by a selector for the given arguments, expected
+//  can contain observers or the keys returned by observer.key(...args)
+export const expectDependencies = (selector, expected, ...args) => {
+    const expectedKeys = expected.map(dependency =>
+        typeof dependency === 'function' ? dependency.id : dependency
+    );
+    const actualKeys = selector.dependencies(...args);
+    if (
+        expectedKeys.length !== actualKeys.length ||
+        expectedKeys.some(key => actualKeys.indexOf(key) === -1)
+    ) {
+        throw new Error(
+            `Expected selector "${selector.displayName}" to depend on [${expectedKeys.join(', ')}], ` +
+            `but it depends on [${actualKeys.join(', ')}]`
+        );
+    }
+};
@@ -0,0 +1,165 @@
+import chai from 'chai'
+import { createContext, DefaultCache, IdentityCache, LruCache, MaxSizeCache, TtlCache } from '../src/index'
+
+const assert = chai.assert
+
+suite('caches', () => {
+    test('DefaultCache keeps track of its size', () => {
+        const cache = new DefaultCache();
+        cache.set('a', 1);
+        cache.set('b', 2);
+        cache.set('a', 3);
+        assert.equal(cache.size, 2);
+        assert.equal(cache.get('a'), 3);
+
+        cache.delete('a');
+        cache.delete('a');
+        assert.equal(cache.size, 1);
+        assert.isUndefined(cache.get('a'));
+
+        cache.clear();
+        assert.equal(cache.size, 0);
+    })
+
+    test('MaxSizeCache evicts the oldest inserted entry', () => {
+        const cache = new MaxSizeCache(2);
+        cache.set('a', 1);
+        cache.set('b', 2);
+        cache.get('a');
+        cache.set('c', 3);
+        assert.equal(cache.size, 2);
+        assert.isUndefined(cache.get('a'));
+        assert.equal(cache.get('b'), 2);
+        assert.equal(cache.get('c'), 3);
+    })
+
+    test('LruCache evicts the least recently used entry', () => {
+        const cache = new LruCache(2);
+        cache.set('a', 1);
+        cache.set('b', 2);
+        cache.get('a');
+        cache.set('c', 3);
+        assert.equal(cache.size, 2);
+        assert.equal(cache.get('a'), 1);
+        assert.isUndefined(cache.get('b'));
+        assert.equal(cache.get('c'), 3);
+    })
+
+    test('TtlCache expires entries', () => {
+        const now = Date.now;
+        let time = 1000;
+        Date.now = () => time;
+        try {
+            const cache = new TtlCache(100);
+            cache.set('a', 1);
+            time += 50;
+            cache.set('b', 2);
+            assert.equal(cache.get('a'), 1);
+            assert.equal(cache.size, 2);
+
+            time += 50;
+            assert.isUndefined(cache.get('a'));
+            assert.equal(cache.get('b'), 2);
+            assert.equal(cache.size, 1);
+
+            time += 50;
+            assert.equal(cache.size, 0);
+        } finally {
+            Date.now = now;
+        }
+    })
+
+    test('bounded caches require a positive limit', () => {
+        assert.throw(() => new LruCache(0), 'Cache maxSize must be a positive number');
+        assert.throw(() => new MaxSizeCache(), 'Cache maxSize must be a positive number');
+        assert.throw(() => new TtlCache(-1), 'Cache ttl must be a positive number');
+    })
+
+    test('maxSize option creates a bounded selector cache', () => {
+        const { createObserver, createSelector } = createContext({ factor: 2 });
+        const getFactor = createObserver(state => state.factor);
+        const times = createSelector(value => getFactor() * value, { maxSize: 2 });
+
+        assert.equal(times(1), 2);
+        assert.equal(times(2), 4);
+        assert.equal(times(1), 2);
+        assert.equal(times.recomputations(), 2);
+
+        assert.equal(times(3), 6); // evicts the entry for 2
+        assert.equal(times(1), 2);
+        assert.equal(times(2), 4);
+        assert.equal(times.recomputations(), 4);
+    })
+
+    test('IdentityCache returns the same key for the same arguments', () => {
+        const cache = new IdentityCache();
+        const order = { id: 1 };
+        const key = cache.serialize([order, 'EUR']);
+
+        assert.strictEqual(cache.serialize([order, 'EUR']), key);
+        assert.notStrictEqual(cache.serialize([{ id: 1 }, 'EUR']), key);
+        assert.notStrictEqual(cache.serialize([order]), key);
+        assert.notStrictEqual(cache.serialize([order, 'EUR', undefined]), key);
+        assert.strictEqual(cache.serialize([]), cache.serialize([]));
+
+        cache.set(key, 1);
+        assert.equal(cache.get(cache.serialize([order, 'EUR'])), 1);
+        cache.delete(key);
+        assert.isUndefined(cache.get(key));
+    })
+
+    test('IdentityCache removes empty nodes and reads without creating them', () => {
+        const cache = new IdentityCache();
+        const order = { id: 1 };
+        const kept = cache.serialize([order]);
+        cache.set(kept, 'kept');
+
+        for (let i = 0; i < 1000; ++i) {
+            const key = cache.serialize([order, i]);
+            cache.set(key, i);
+            assert.strictEqual(cache.find([order, i]), key);
+            cache.delete(key);
+        }
+        assert.equal(cache.root.childCount, 1);
+        assert.equal(kept.childCount, 0);
+        assert.equal(cache.get(cache.find([order])), 'kept');
+
+        assert.isUndefined(cache.find([order, 'missing', 1]));
+        assert.isUndefined(cache.find([{ id: 1 }]));
+        assert.equal(kept.childCount, 0);
+        assert.equal(cache.root.childCount, 1);
+
+        cache.delete(kept);
+        assert.equal(cache.root.childCount, 0);
+    })
+
+    test('argsEquality identity compares arguments by reference', () => {
+        const { createObserver, createSelector } = createContext({ discount: 5 });
+        const getDiscount = createObserver(state => state.discount);
+        const getTotal = createSelector(
+            (order, currency) => `${order.amount - getDiscount()} ${currency}`,
+            { argsEquality: 'identity' }
+        );
+        const order = { amount: 100 };
+
+        assert.equal(getTotal(order, 'EUR'), '95 EUR');
+        assert.equal(getTotal(order, 'EUR'), '95 EUR');
+        assert.equal(getTotal(order, 'USD'), '95 USD');
+        assert.equal(getTotal({ amount: 100 }, 'EUR'), '95 EUR');
+        assert.equal(getTotal.recomputations(), 3);
+        assert.sameMembers(getTotal.dependencies(order, 'EUR'), [getDiscount.id]);
+
+        getTotal.clearCache();
+        assert.equal(getTotal(order, 'EUR'), '95 EUR');
+        assert.equal(getTotal.recomputations(), 4);
+    })
+
+    test('argsEquality validates its options', () => {
+        const { createSelector } = createContext();
+        assert.throw(() => createSelector(() => 1, { argsEquality: 'deep' }), 'Unknown argsEquality "deep"');
+        assert.throw(
+            () => createSelector(() => 1, { argsEquality: 'identity', maxSize: 10 }),
+            'argsEquality "identity" cannot be combined with the cache, serialize or maxSize options'
+        );
+    })
+});
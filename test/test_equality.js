@@ -0,0 +1,125 @@
+import chai from 'chai'
+import { createContext, arrayItemsEqual, deepEqual, shallowEqual, structuralEqual } from '../src/index'
+
+const assert = chai.assert
+
+suite('equality', () => {
+    test('shallowEqual compares own properties by reference', () => {
+        const item = { id: 1 };
+        assert.isTrue(shallowEqual({ a: 1, item }, { item, a: 1 }));
+        assert.isTrue(shallowEqual([1, item], [1, item]));
+        assert.isTrue(shallowEqual(NaN, NaN));
+        assert.isFalse(shallowEqual({ item }, { item: { id: 1 } }));
+        assert.isFalse(shallowEqual({ a: 1 }, { a: 1, b: 2 }));
+        assert.isFalse(shallowEqual({ a: undefined }, { b: undefined }));
+        assert.isFalse(shallowEqual([1], { 0: 1 }));
+        assert.isFalse(shallowEqual(null, {}));
+    })
+
+    test('shallowEqual compares Maps, Sets and Dates by their contents', () => {
+        const item = { id: 1 };
+        assert.isTrue(shallowEqual(new Map([[1, item]]), new Map([[1, item]])));
+        assert.isFalse(shallowEqual(new Map([[1, 2]]), new Map()));
+        assert.isFalse(shallowEqual(new Map([[1, item]]), new Map([[1, { id: 1 }]])));
+
+        assert.isTrue(shallowEqual(new Set([1, item]), new Set([item, 1])));
+        assert.isFalse(shallowEqual(new Set([1]), new Set([2])));
+        assert.isFalse(shallowEqual(new Set([item]), new Set([{ id: 1 }])));
+
+        assert.isTrue(shallowEqual(new Date(1), new Date(1)));
+        assert.isFalse(shallowEqual(new Date(1), new Date(2)));
+        assert.isFalse(shallowEqual(new Map(), new Set()));
+        assert.isFalse(shallowEqual(new Map(), {}));
+    })
+
+    test('shallow observers are invalidated when a Map changes', () => {
+        const { createObserver, createSelector, getState, setState } = createContext({ m: new Map([[1, 1]]) });
+        const getMap = createObserver(state => state.m, { isEqual: 'shallow' });
+        const size = createSelector(() => getMap().size);
+
+        assert.equal(size(), 1);
+        setState({ m: new Map(getState().m).set(2, 2) });
+        assert.equal(size(), 2);
+    })
+
+    test('arrayItemsEqual compares array items by reference', () => {
+        const item = { id: 1 };
+        assert.isTrue(arrayItemsEqual([item, 2], [item, 2]));
+        assert.isFalse(arrayItemsEqual([item], [{ id: 1 }]));
+        assert.isFalse(arrayItemsEqual([1, 2], [1]));
+        assert.isFalse(arrayItemsEqual({ 0: 1, length: 1 }, [1]));
+    })
+
+    test('deepEqual compares values recursively', () => {
+        assert.isTrue(deepEqual({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] }));
+        assert.isTrue(deepEqual(new Date(1), new Date(1)));
+        assert.isTrue(deepEqual(new Map([['a', { b: 1 }]]), new Map([['a', { b: 1 }]])));
+        assert.isTrue(deepEqual(new Set([1, 2]), new Set([2, 1])));
+        assert.isTrue(deepEqual(/a/g, /a/g));
+        assert.isFalse(deepEqual({ a: [1, { b: 2 }] }, { a: [1, { b: 3 }] }));
+        assert.isFalse(deepEqual(new Date(1), new Date(2)));
+        assert.isFalse(deepEqual(new Map([['a', 1]]), new Map([['a', 2]])));
+        assert.isFalse(deepEqual([], {}));
+    })
+
+    test('deepEqual compares prototypes, structuralEqual does not', () => {
+        class Point {
+            constructor(x, y) {
+                this.x = x;
+                this.y = y;
+            }
+        }
+        assert.isFalse(deepEqual(new Point(1, 2), { x: 1, y: 2 }));
+        assert.isTrue(structuralEqual(new Point(1, 2), { x: 1, y: 2 }));
+        assert.isTrue(structuralEqual({ p: [new Point(1, 2)] }, { p: [{ x: 1, y: 2 }] }));
+        assert.isFalse(structuralEqual({ p: [new Point(1, 2)] }, { p: [{ x: 1, y: 3 }] }));
+        assert.isFalse(structuralEqual([1], { 0: 1 }));
+    })
+
+    test('Maps and Sets are compared by their contents', () => {
+        assert.isTrue(deepEqual(new Set([{ id: 1 }, { id: 2 }]), new Set([{ id: 2 }, { id: 1 }])));
+        assert.isFalse(deepEqual(new Set([{ id: 1 }, { id: 1 }]), new Set([{ id: 1 }, { id: 2 }])));
+        assert.isFalse(deepEqual(new Set([1]), new Set(['1'])));
+
+        assert.isTrue(structuralEqual(new Map([['a', { b: 1 }]]), new Map([['a', { b: 1 }]])));
+        assert.isFalse(structuralEqual(new Map([['a', 1]]), new Map([['a', 2]])));
+        assert.isFalse(structuralEqual(new Map([['a', 1]]), new Map([['b', 1]])));
+        assert.isTrue(structuralEqual(new Set([{ id: 1 }]), new Set([{ id: 1 }])));
+        assert.isFalse(structuralEqual(new Set([1]), new Set([2])));
+        assert.isFalse(structuralEqual(new Set(), new Map()));
+        assert.isFalse(structuralEqual(/a/, /b/));
+    })
+
+    test('circular references are supported', () => {
+        const a = { id: 1, items: [] };
+        a.items.push(a);
+        const b = { id: 1, items: [] };
+        b.items.push(b);
+        const c = { id: 2, items: [] };
+        c.items.push(c);
+
+        assert.isTrue(deepEqual(a, b));
+        assert.isFalse(deepEqual(a, c));
+        assert.isTrue(structuralEqual(new Set([a]), new Set([b])));
+        assert.isFalse(structuralEqual({ a }, { a: c }));
+    })
+
+    test('observers accept equality shorthands', () => {
+        const { createObserver, createSelector, setState } = createContext({
+            items: [{ id: 1, done: true }, { id: 2, done: false }]
+        });
+        const getDoneItems = createObserver(
+            state => state.items.filter(item => item.done),
+            { isEqual: 'shallow' }
+        );
+        const countDone = createSelector(() => getDoneItems().length);
+
+        assert.equal(countDone(), 1);
+        setState({ items: getDoneItems().concat({ id: 3, done: false }) });
+        assert.equal(countDone(), 1);
+        assert.equal(countDone.recomputations(), 1);
+
+        assert.throw(() => createObserver(() => 1, { isEqual: 'fuzzy' }), 'Unknown isEqual "fuzzy"');
+        assert.throw(() => createObserver(() => 1, { isEqual: 'toString' }), 'Unknown isEqual "toString"');
+    })
+});
@@ -0,0 +1,59 @@
+import chai from 'chai'
+import { createElement } from 'react'
+import { Provider } from 'react-redux'
+import { act, create } from 'react-test-renderer'
+import { createContext } from '../src/index'
+import { useComputation } from '../src/hooks'
+
+const assert = chai.assert
+
+suite('hooks', () => {
+    suiteSetup(() => {
+        global.IS_REACT_ACT_ENVIRONMENT = true;
+    });
+
+    suiteTeardown(() => {
+        delete global.IS_REACT_ACT_ENVIRONMENT;
+    });
+
+    test('useComputation evicts a result when its last consumer unmounts', () => {
+        const state = { todos: { l1: ['a', 'b'], l2: ['c'] } };
+        const store = {
+            getState: () => state,
+            subscribe: () => () => {},
+            dispatch: action => action
+        };
+        const { createObserver, createSelector } = createContext(state);
+        const getTodos = createObserver((state, listId) => state.todos[listId]);
+        const countTodos = createSelector(listId => getTodos(listId).length);
+
+        const TodoCount = ({ listId }) => `${listId}: ${useComputation(countTodos, listId)}`;
+        const render = consumers => createElement(
+            Provider,
+            { store },
+            consumers.map(([key, listId]) => createElement(TodoCount, { key, listId }))
+        );
+
+        let renderer;
+        act(() => {
+            renderer = create(render([['a', 'l1'], ['b', 'l1'], ['c', 'l2']]));
+        });
+        assert.deepEqual(renderer.toJSON(), ['l1: 2', 'l1: 2', 'l2: 1']);
+        assert.equal(countTodos.recomputations(), 2);
+
+        // l1 is still used by another component
+        act(() => renderer.update(render([['b', 'l1'], ['c', 'l2']])));
+        assert.equal(countTodos('l1'), 2);
+        assert.equal(countTodos.recomputations(), 2);
+
+        act(() => renderer.update(render([['b', 'l1']])));
+        assert.equal(countTodos('l1'), 2);
+        assert.equal(countTodos.recomputations(), 2);
+        assert.equal(countTodos('l2'), 1);
+        assert.equal(countTodos.recomputations(), 3);
+
+        act(() => renderer.unmount());
+        assert.equal(countTodos('l1'), 2);
+        assert.equal(countTodos.recomputations(), 4);
+    })
+})
@@ -0,0 +1,216 @@
+import chai from 'chai'
+import { createContext } from '../src/index'
+
+const assert = chai.assert
+
+suite('paths', () => {
+    const state = {
+        shop: { items: { a: { price: 1 }, b: { price: 2 } } },
+        todoLists: { l1: { todos: ['x', 'y'] } }
+    };
+
+    test('observers read paths', () => {
+        const { createObserver } = createContext(state);
+        const getItems = createObserver('shop.items');
+        const getItem = createObserver('shop.items[id]');
+        const getTodos = createObserver('todoLists.:listId.todos');
+        const getTodo = createObserver(['todoLists', ':listId', 'todos', ':index']);
+        const getFirstTodo = createObserver('todoLists.:listId.todos[0]');
+
+        assert.strictEqual(getItems(), state.shop.items);
+        assert.strictEqual(getItem('b'), state.shop.items.b);
+        assert.strictEqual(getTodos('l1'), state.todoLists.l1.todos);
+        assert.equal(getTodo('l1', 1), 'y');
+        assert.equal(getFirstTodo('l1'), 'x');
+        assert.isUndefined(getTodos('missing'));
+    })
+
+    test('path observers are identified by their path', () => {
+        const { createObserver, createSelector } = createContext(state);
+        const getItem = createObserver('shop.items[id]');
+        const getTodo = createObserver(['todoLists', ':listId', 'todos', 0]);
+        const getPrice = createSelector(id => getItem(id).price);
+
+        assert.equal(getItem.id, 'path:shop.items.:id');
+        assert.equal(getItem.displayName, 'shop.items.:id');
+        assert.equal(getTodo.id, 'path:todoLists.:listId.todos.0');
+        getPrice('a');
+        assert.deepEqual(getPrice.dependencies('a'), ['path:shop.items.:id:"a"']);
+    })
+
+    test('path observers ids do not collide with function observers', () => {
+        const { createObserver, createSelector, setState } = createContext({ 1: 'a', b: 'b' });
+        const getB = createObserver(state => state.b);
+        const getOne = createObserver('1');
+        const label = createSelector(() => getB() + getOne());
+
+        assert.notEqual(getOne.id, getB.id);
+        assert.equal(label(), 'ba');
+        setState({ 1: 'c', b: 'b' });
+        assert.equal(label(), 'bc');
+        assert.lengthOf(label.dependencies(), 2);
+    })
+
+    test('the same path returns the same observer', () => {
+        const { createObserver, createSelector, dehydrate, hydrate } = createContext(state, { registry: true });
+        const getItem = createObserver('shop.items[id]');
+        assert.strictEqual(createObserver('shop.items.:id'), getItem);
+        assert.strictEqual(createObserver(['shop', 'items', ':id']), getItem);
+
+        const getShallowItem = createObserver('shop.items[id]', { isEqual: 'shallow' });
+        const getNamedItem = createObserver('shop.items[id]', { name: 'getNamedItem' });
+        assert.notStrictEqual(getShallowItem, getItem);
+        assert.strictEqual(createObserver('shop.items[id]', { isEqual: 'shallow' }), getShallowItem);
+        assert.equal(getShallowItem.displayName, 'shop.items.:id#2');
+        assert.notEqual(getNamedItem.id, getItem.id);
+
+        const getPrice = createSelector(id => getItem(id).price, { name: 'getPrice' });
+        getPrice('a');
+        assert.doesNotThrow(() => hydrate(dehydrate()));
+    })
+
+    test('rejects invalid paths', () => {
+        const { createObserver } = createContext();
+        assert.throw(() => createObserver('shop..items'), 'Invalid path "shop..items"');
+        assert.throw(() => createObserver('shop.items['), 'Invalid path');
+        assert.throw(() => createObserver(''), 'Invalid path');
+    })
+
+    test('setIn updates the state immutably', () => {
+        const { createObserver, createSelector, getState, setIn } = createContext(state);
+        const getPrice = createObserver('shop.items.:id.price');
+        const total = createSelector(() => getPrice('a') + getPrice('b'));
+
+        assert.equal(total(), 3);
+        setIn('shop.items.:id.price', 5, 'a');
+        const newState = getState();
+        assert.equal(total(), 7);
+        assert.notStrictEqual(newState, state);
+        assert.notStrictEqual(newState.shop.items.a, state.shop.items.a);
+        assert.strictEqual(newState.shop.items.b, state.shop.items.b);
+        assert.strictEqual(newState.todoLists, state.todoLists);
+        assert.equal(state.shop.items.a.price, 1);
+    })
+
+    test('setIn copies arrays and creates missing objects', () => {
+        const { getState, setIn, subscribe } = createContext(state);
+        let calls = 0;
+        subscribe(() => ++calls);
+
+        setIn(['todoLists', ':listId', 'todos', 1], 'z', 'l1');
+        assert.deepEqual(getState().todoLists.l1.todos, ['x', 'z']);
+        assert.isArray(getState().todoLists.l1.todos);
+        assert.deepEqual(state.todoLists.l1.todos, ['x', 'y']);
+
+        setIn('todoLists.:listId.todos', [], 'l2');
+        assert.deepEqual(getState().todoLists.l2, { todos: [] });
+
+        // Setting the same value doesn't update the state
+        const current = getState();
+        setIn('todoLists.l1.todos[0]', 'x');
+        assert.strictEqual(getState(), current);
+        assert.equal(calls, 2);
+    })
+})
+
+suite('change tracking', () => {
+    const setup = () => {
+        const context = createContext({ shop: { total: 1 }, user: { name: 'a' } });
+        const reads = { shop: 0, user: 0 };
+        const getTotal = context.createObserver(state => (++reads.shop, state.shop.total), { path: 'shop' });
+        const getName = context.createObserver(state => (++reads.user, state.user.name), { path: 'user.name' });
+        const label = context.createSelector(() => `${getName()}: ${getTotal()}`);
+        return { context, reads, label };
+    };
+
+    test('observers are skipped when their top level key did not change', () => {
+        const { context, reads, label } = setup();
+        const { getState, setState } = context;
+
+        assert.equal(label(), 'a: 1');
+        setState({ ...getState(), user: { name: 'b' } });
+        assert.equal(label(), 'b: 1');
+        assert.deepEqual(reads, { shop: 2, user: 3 }); // shop is only read to recompute
+
+        setState({ ...getState(), shop: { total: 2 } });
+        assert.equal(label(), 'b: 2');
+        assert.deepEqual(reads, { shop: 4, user: 4 }); // user is only read to recompute
+
+        assert.equal(label(), 'b: 2');
+        assert.deepEqual(reads, { shop: 4, user: 4 });
+    })
+
+    test('setState accepts the changed paths', () => {
+        const { context, reads, label } = setup();
+        const { getState, setState } = context;
+
+        label();
+        const state = getState();
+        state.shop.total = 3;
+        setState({ ...state }, { changedPaths: ['shop.total'] });
+        assert.equal(label(), 'a: 3');
+        assert.equal(reads.user, 2);
+    })
+
+    test('all observers are checked when the state is mutated in place', () => {
+        const { context, reads, label } = setup();
+        const { getState, setState } = context;
+
+        label();
+        const state = getState();
+        state.shop = { total: 5 };
+        setState(state);
+        assert.equal(label(), 'a: 5');
+        assert.deepEqual(reads, { shop: 3, user: 3 });
+    })
+
+    test('path observers declare their path', () => {
+        const { createObserver, createSelector, getState, setState, setIn } = createContext({
+            lists: { l1: ['x'] },
+            filter: 'all'
+        });
+        let reads = 0;
+        const getList = createObserver('lists.:listId');
+        const getFilter = createObserver(state => (++reads, state.filter), { path: ['filter'] });
+        const count = createSelector(listId => getList(listId).length + getFilter().length);
+
+        assert.equal(count('l1'), 4);
+        setIn('lists.:listId', ['x', 'y'], 'l1');
+        assert.equal(count('l1'), 5);
+        assert.equal(reads, 2);
+
+        setState({ ...getState(), filter: 'done' });
+        assert.equal(count('l1'), 6);
+    })
+
+    test('path observers are checked when the state is mutated in place', () => {
+        const { createObserver, createSelector, getState } = createContext({ shop: { total: 1 } });
+        const getTotal = createObserver('shop.total');
+        const double = createSelector(() => getTotal() * 2);
+
+        assert.equal(double(), 2);
+        getState().shop.total = 7;
+        assert.equal(double(), 14);
+    })
+
+    test('path observers declare their path in immutable contexts', () => {
+        const { createObserver, createSelector, getState, setState } = createContext(
+            { shop: { total: 1 }, user: 'a' },
+            { immutable: true }
+        );
+        let reads = 0;
+        const getTotal = createObserver('shop.total', {
+            isEqual: (a, b) => (++reads, a === b)
+        });
+        const double = createSelector(() => getTotal() * 2);
+
+        assert.equal(double(), 2);
+        setState({ ...getState(), user: 'b' });
+        assert.equal(double(), 2);
+        assert.equal(reads, 0);
+
+        setState({ ...getState(), shop: { total: 2 } });
+        assert.equal(double(), 4);
+        assert.equal(reads, 1);
+    })
+})
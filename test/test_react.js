@@ -0,0 +1,100 @@
+import chai from 'chai'
+import { createElement } from 'react'
+import { act, create } from 'react-test-renderer'
+import { createContext, defaultContext } from '../src/index'
+import { RecomputeProvider, useRecompute } from '../src/react'
+
+const assert = chai.assert
+
+suite('react', () => {
+    suiteSetup(() => {
+        global.IS_REACT_ACT_ENVIRONMENT = true;
+    });
+
+    suiteTeardown(() => {
+        delete global.IS_REACT_ACT_ENVIRONMENT;
+    });
+
+    const setup = () => {
+        const context = createContext({ todos: { l1: ['a', 'b'], l2: ['c'] }, filter: '' });
+        const getTodos = context.createObserver((state, listId) => state.todos[listId]);
+        const getFilter = context.createObserver(state => state.filter);
+        const getVisible = context.createSelector(
+            listId => getTodos(listId).filter(todo => todo.includes(getFilter()))
+        );
+        let renders = 0;
+        const TodoCount = ({ listId }) => {
+            ++renders;
+            return `${listId}: ${useRecompute(getVisible, listId).length}`;
+        };
+        return { context, TodoCount, getVisible, renders: () => renders };
+    };
+
+    test('useRecompute renders the selector result', () => {
+        const { context, TodoCount } = setup();
+        let renderer;
+        act(() => {
+            renderer = create(createElement(
+                RecomputeProvider,
+                { context },
+                createElement(TodoCount, { listId: 'l1' })
+            ));
+        });
+        assert.equal(renderer.toJSON(), 'l1: 2');
+
+        act(() => renderer.update(createElement(
+            RecomputeProvider,
+            { context },
+            createElement(TodoCount, { listId: 'l2' })
+        )));
+        assert.equal(renderer.toJSON(), 'l2: 1');
+        act(() => renderer.unmount());
+    })
+
+    test('components are rendered again when the result changes', () => {
+        const { context, TodoCount, renders } = setup();
+        let renderer;
+        act(() => {
+            renderer = create(createElement(
+                RecomputeProvider,
+                { context },
+                createElement(TodoCount, { listId: 'l1' })
+            ));
+        });
+        assert.equal(renders(), 1);
+
+        act(() => context.setState({ ...context.getState(), filter: 'a' }));
+        assert.equal(renderer.toJSON(), 'l1: 1');
+        assert.equal(renders(), 2);
+
+        // The other list changed, but the result is the same
+        act(() => context.setState({
+            ...context.getState(),
+            todos: { ...context.getState().todos, l2: ['d'] }
+        }));
+        assert.equal(renders(), 2);
+
+        act(() => renderer.unmount());
+        act(() => context.setState({ ...context.getState(), filter: '' }));
+        assert.equal(renders(), 2);
+    })
+
+    test('components outside of a provider use the default context', () => {
+        const getValue = defaultContext.createObserver(state => state.value);
+        const Value = () => `${useRecompute(getValue)}`;
+        const previous = defaultContext.getState();
+        defaultContext.setState({ value: 1 });
+        try {
+            let renderer;
+            act(() => {
+                renderer = create(createElement(Value));
+            });
+            assert.equal(renderer.toJSON(), '1');
+            act(() => defaultContext.setState({ value: 2 }));
+            assert.equal(renderer.toJSON(), '2');
+            act(() => renderer.unmount());
+        } finally {
+            defaultContext.setState(previous);
+        }
+    })
+})
@@ -1,5 +1,13 @@
 import chai from 'chai'
-import {  createContext  } from '../src/index'
+import {
+    createContext,
+    createObserver,
+    createSelector,
+    DefaultCache,
+    defaultContext,
+    getState,
+    setState
+} from '../src/index'
 
 const assert = chai.assert
 
@@ -11,28 +19,37 @@ for (let i = 0; i < numOfStates; i++) {
   states.push({ a: 1, b: 2 })
 }
 suite('observer', () => { 
-    test('function signature does NOT allow more than two arguments', () => {
-        const { createObserver } = createContext();
-        assert.throw(
-            () => createObserver((_, param1, param2) => param1 + param2 + 1),
-            'Observer methods cannot receive more than two arguments'
-        )
+    test('can be called with multiple parameters', () => {
+        const { createObserver, setState } = createContext({
+            workspaces: { w1: { lists: { l1: { items: { i1: 'a', i2: 'b' } } } } }
+        });
+        const getItem = createObserver((state, workspaceId, listId, itemId) =>
+            state.workspaces[workspaceId].lists[listId].items[itemId]
+        );
+
+        assert.equal(getItem('w1', 'l1', 'i1'), 'a');
+        assert.equal(getItem('w1', 'l1', 'i2'), 'b');
+        setState({
+            workspaces: { w1: { lists: { l1: { items: { i1: 'c', i2: 'b' } } } } }
+        });
+        assert.equal(getItem('w1', 'l1', 'i1'), 'c');
     })
 
-    test('does NOT allow being invoked with more than one argument', () => {
+    test('keys are unique for different arguments', () => {
         const { createObserver } = createContext();
-        const sumAll = createObserver(function (_) {
-            // arguments[0] is always the internal state
-            const a = arguments.length > 1 ? arguments[1] : 0;
-            const b = arguments.length > 2 ? arguments[2] : 0;
-            const c = arguments.length > 3 ? arguments[3] : 0;
-            return a + b + c;
-        });
-        assert.equal(sumAll(), 0);
-        assert.throw(
-            () => sumAll(1, 2, 3),
-            'Observer methods cannot be invoked with more than one argument'
-        );
+        const sumAll = createObserver((_, ...args) => args.length);
+        const keys = [
+            sumAll.key(),
+            sumAll.key(1),
+            sumAll.key(1, 2),
+            sumAll.key([1, 2]),
+            sumAll.key('1:2'),
+            sumAll.key(1, 2, 3),
+            sumAll.key([1], 2),
+            sumAll.key(1, [2])
+        ];
+        assert.equal(new Set(keys).size, keys.length);
+        assert.equal(sumAll.key(1, 2), sumAll.key(1, 2));
     })
 
     test('can be called without parameters', () => { 
@@ -353,6 +370,30 @@ suite('selector', () => {
         assert.equal(sumArgs.recomputations(), 3);
     })
 
+    test('memoizes object arguments regardless of key order', () => {
+        const { createObserver, createSelector } = createContext({ a: 1 });
+        const getA = createObserver(state => state.a);
+        const sumProps = createSelector(props => getA() + props.b + props.c);
+
+        assert.equal(sumProps({ b: 2, c: 3 }), 6);
+        assert.equal(sumProps({ c: 3, b: 2 }), 6);
+        assert.equal(sumProps.recomputations(), 1);
+    })
+
+    test('accepts circular and non JSON arguments', () => {
+        const { createObserver, createSelector } = createContext({ a: 1 });
+        const getA = createObserver(state => state.a);
+        const countItems = createSelector(items => getA() + items.size);
+        const node = { items: new Set([1, 2]) };
+        node.parent = node;
+
+        assert.equal(countItems(node.items, node), 3);
+        assert.equal(countItems(new Set([1, 2]), node), 3);
+        assert.equal(countItems(new Set([1, 2, 3]), node), 4);
+        assert.equal(countItems(new Set([1, 2]), 1n), 3);
+        assert.equal(countItems.recomputations(), 3);
+    })
+
     test('warns when passing large objects as arguments', () => { 
         const smallPayload = { "name": { "title": "Mrs", "first": "Anna", "last": "Richards" } };
         const largePayload = { "results": [{ "gender": "female", "name": { "title": "Mrs", "first": "Anna", "last": "Richards" }, "location": { "street": { "number": 7961, "name": "North Street" }, "city": "Chichester", "state": "Northamptonshire", "country": "United Kingdom", "postcode": "N12 9PX", "coordinates": { "latitude": "6.9498", "longitude": "68.6662" }, "timezone": { "offset": "+5:00", "description": "Ekaterinburg, Islamabad, Karachi, Tashkent" } }, "email": "anna.richards@example.com", "login": { "uuid": "1caac83a-5e83-4e48-a77c-f2f45800f275", "username": "smallzebra251", "password": "honey1", "salt": "6Ip3rGND", "md5": "5d0cf3d6ef4cea92fe225b85ec60e617", "sha1": "174a58fc96fccef0a258af8e6d515e51b8f10b45", "sha256": "b0959e8e600b0f3d4bff7c5bbedd9a316efac6cc6c2e28c7a6ff5d04d7a8d6eb" }, "dob": { "date": "1995-11-28T07:47:28.714Z", "age": 24 }, "registered": { "date": "2006-08-31T11:07:11.172Z", "age": 13 }, "phone": "015395 28784", "cell": "0749-670-750", "id": { "name": "NINO", "value": "AM 17 20 58 T" }, "picture": { "large": "https://randomuser.me/api/portraits/women/30.jpg", "medium": "https://randomuser.me/api/portraits/med/women/30.jpg", "thumbnail": "https://randomuser.me/api/portraits/thumb/women/30.jpg" }, "nat": "GB" }], "info": { "seed": "7b997f703b562577", "results": 1, "page": 1, "version": "1.3" } };
@@ -789,6 +830,31 @@ suite('selector', () => {
         assert.equal(selector(), 3);
     })
 
+    test('tracks observers invoked with multiple arguments', () => {
+        const { createObserver, createSelector, setState } = createContext({
+            lists: { l1: { i1: 1, i2: 2 }, l2: { i1: 3 } }
+        });
+        const getItem = createObserver((state, listId, itemId) => state.lists[listId][itemId]);
+        const sumItems = createSelector(() =>
+            getItem('l1', 'i1') + getItem('l1', 'i2') + getItem('l2', 'i1')
+        );
+
+        assert.equal(sumItems(), 6);
+        assert.sameMembers(sumItems.dependencies(), [
+            getItem.key('l1', 'i1'),
+            getItem.key('l1', 'i2'),
+            getItem.key('l2', 'i1')
+        ]);
+
+        setState({ lists: { l1: { i1: 1, i2: 2 }, l2: { i1: 3 } } });
+        assert.equal(sumItems(), 6);
+        assert.equal(sumItems.recomputations(), 1);
+
+        setState({ lists: { l1: { i1: 1, i2: 5 }, l2: { i1: 3 } } });
+        assert.equal(sumItems(), 9);
+        assert.equal(sumItems.recomputations(), 2);
+    })
+
     test('Untracks dependencies', () => {
         const { createObserver, createSelector, setState } = createContext();
 
@@ -825,6 +891,30 @@ suite('selector', () => {
         assert.equal(subtotal.recomputations(), 2);
         assert.equal(subtotal.dependencies().length, 3);
     })
+
+    test('keeps other cache entries warm when one entry is invalidated', () => {
+        const lists = {
+            '1': { todos: ['a'] },
+            '2': { todos: ['b', 'c'] },
+            '3': { todos: [] }
+        };
+        const { createObserver, createSelector, setState } = createContext({ todoLists: lists });
+        const getTodos = createObserver((state, listId) => state.todoLists[listId].todos);
+        const countTodos = createSelector(listId => getTodos(listId).length);
+
+        countTodos('1');
+        countTodos('2');
+        countTodos('3');
+        assert.equal(countTodos.recomputations(), 3);
+
+        setState({
+            todoLists: Object.assign({}, lists, { '1': { todos: ['a', 'd'] } })
+        });
+        assert.equal(countTodos('1'), 2);
+        assert.equal(countTodos('2'), 2);
+        assert.equal(countTodos('3'), 0);
+        assert.equal(countTodos.recomputations(), 4);
+    })
 });
 
 suite('test utils', () => {
@@ -904,27 +994,1062 @@ suite('test utils', () => {
         assert.equal(timesA(3), 6);
         assert.equal(timesA.recomputations(), 4);
     })
+
+    test('Evict cached results', () => {
+        const { createObserver, createSelector } = createContext();
+        const getA = createObserver(() => 2);
+        const timesA = createSelector(times => getA() * times);
+
+        assert.equal(timesA.key(2), timesA.key(2));
+        assert.notEqual(timesA.key(2), timesA.key(3));
+
+        assert.equal(timesA(2), 4);
+        assert.equal(timesA(3), 6);
+        timesA.evict(2);
+        assert.equal(timesA(2), 4);
+        assert.equal(timesA(3), 6);
+        assert.equal(timesA.recomputations(), 3);
+    })
 });
 
 suite('context', () => {
     test('Mixing observers from different contexts', () => {
+        const ctx1 = createContext({ 'foo': 'a1' });
+        const ctx2 = createContext({ 'bar': 'a2' });
+        const getA1 = ctx1.createObserver(state => state.foo, { name: 'getA1' });
+        const getA2 = ctx2.createObserver(state => state.bar, { name: 'getA2' });
+
+        const selA1A2 = ctx1.createSelector(() => getA1() + getA2(), { name: 'selA1A2' });
+        const selA2 = ctx2.createSelector(() => getA2());
+
+        // Observers of another context can't be tracked
+        assert.throw(
+            () => selA1A2(),
+            'Observer "getA2" was called while computing selector "selA1A2" of another context'
+        );
+        assert.equal(selA1A2.recomputations(), 0);
+
+        // Each context keeps working on its own
+        assert.equal(getA2(), 'a2');
+        assert.equal(selA2(), 'a2');
+        ctx2.setState({ 'bar': 'a3' });
+        assert.equal(selA2(), 'a3');
+    })
+
+    test('Nesting selectors from different contexts', () => {
         const ctx1 = createContext({ 'foo': 'a1' });
         const ctx2 = createContext({ 'bar': 'a2' });
         const getA1 = ctx1.createObserver(state => state.foo);
         const getA2 = ctx2.createObserver(state => state.bar);
+        const selA2 = ctx2.createSelector(() => getA2(), { name: 'selA2' });
+        const selA1A2 = ctx1.createSelector(() => getA1() + selA2(), { name: 'selA1A2' });
+
+        assert.throw(
+            () => selA1A2(),
+            'Selector "selA2" was called while computing selector "selA1A2" of another context'
+        );
+        assert.equal(selA2(), 'a2');
+    })
+
+    test('Observer ids are stable per context', () => {
+        const ctx1 = createContext();
+        const ctx2 = createContext();
+        const ids1 = [ctx1.createObserver(() => 1).id, ctx1.createObserver(() => 2).id];
+        const ids2 = [ctx2.createObserver(() => 1).id, ctx2.createObserver(() => 2).id];
+        assert.deepEqual(ids1, ids2);
+    })
 
-        const selA1A2 = ctx1.createSelector(() => getA1() + getA2());
-        const selA2A1 = ctx2.createSelector(() => getA2() + getA1());
+    test('Reading the state of a context', () => {
+        const ctx = createContext({ a: 1 });
+        assert.deepEqual(ctx.getState(), { a: 1 });
+        ctx.setState({ a: 2 });
+        assert.deepEqual(ctx.getState(), { a: 2 });
+    })
 
-        assert.equal(selA1A2(), 'a1a2');
-        assert.equal(selA1A2.recomputations(), 1);
-        assert.sameMembers(selA1A2.dependencies(), [getA1.id, getA2.id]);
+    test('Setting the state through withState', () => {
+        const ctx = createContext({ a: 1 });
+        const getA = ctx.createObserver(state => state.a);
+        const selA = ctx.createSelector(() => getA());
 
-        assert.equal(selA2A1(), 'a2a1');
-        assert.equal(selA2A1.recomputations(), 1);
-        assert.sameMembers(selA2A1.dependencies(), [getA1.id, getA2.id]);
+        assert.equal(selA.withState({ a: 2 })(), 2);
+        assert.deepEqual(ctx.getState(), { a: 2 });
+    })
 
-        ctx2.setState({ 'bar': 'a3' });
-        assert.equal(selA1A2(), 'a1a3');
+    test('withState only notifies listeners when the state changes', () => {
+        const ctx = createContext({ a: 1 });
+        const getA = ctx.createObserver(state => state.a);
+        const selA = ctx.createSelector(() => getA());
+        let calls = 0;
+        ctx.subscribe(() => ++calls);
+
+        const state = ctx.getState();
+        for (let i = 0; i < 10; ++i) {
+            assert.equal(selA.withState(state)(), 1);
+        }
+        assert.equal(calls, 0);
+
+        // Mutations in place are still seen by the selectors
+        state.a = 3;
+        assert.equal(selA.withState(state)(), 3);
+        assert.equal(calls, 0);
+
+        assert.equal(selA.withState({ a: 2 })(), 2);
+        assert.equal(calls, 1);
+    })
+
+    test('Default context', () => {
+        const getA = createObserver(state => state.a);
+        const selA = createSelector(() => getA());
+
+        setState({ a: 1 });
+        assert.equal(selA(), 1);
+        assert.deepEqual(getState(), { a: 1 });
+        assert.strictEqual(defaultContext.getState(), getState());
+
+        defaultContext.setState({ a: 2 });
+        assert.equal(selA(), 2);
+        setState(undefined);
+    })
+
+    test('Subscribing to state changes', () => {
+        const ctx = createContext({ a: 1 });
+        const states = [];
+        const unsubscribe = ctx.subscribe(state => states.push(state));
+
+        ctx.setState({ a: 2 });
+        unsubscribe();
+        ctx.setState({ a: 3 });
+        assert.deepEqual(states, [{ a: 2 }]);
+    })
+
+    test('Connecting to a store', () => {
+        const createStore = (reducer, state) => {
+            let listeners = [];
+            return {
+                getState: () => state,
+                dispatch: action => {
+                    state = reducer(state, action);
+                    listeners.forEach(listener => listener());
+                },
+                subscribe: listener => {
+                    listeners.push(listener);
+                    return () => listeners = listeners.filter(l => l !== listener);
+                }
+            };
+        };
+        const store = createStore(
+            (state, action) => action.type === 'inc' ? { count: state.count + 1 } : state,
+            { count: 0 }
+        );
+        const ctx = createContext();
+        const getCount = ctx.createObserver(state => state.count);
+        const selCount = ctx.createSelector(() => getCount());
+        let notifications = 0;
+        ctx.subscribe(() => ++notifications);
+
+        const disconnect = ctx.connectStore(store);
+        assert.equal(selCount(), 0);
+
+        store.dispatch({ type: 'inc' });
+        assert.equal(selCount(), 1);
+
+        store.dispatch({ type: 'noop' });
+        assert.equal(notifications, 2);
+
+        disconnect();
+        store.dispatch({ type: 'inc' });
+        assert.equal(selCount(), 1);
+        assert.equal(selCount.recomputations(), 2);
+    })
+});
+
+suite('subscriptions', () => {
+    test('notifies only when the selector result changes', () => {
+        const { createObserver, createSelector, setState } = createContext({ a: 1, b: 1 });
+        const getA = createObserver(state => state.a);
+        const doubleA = createSelector(() => getA() * 2);
+        const calls = [];
+        doubleA.subscribe((result, prevResult) => calls.push([result, prevResult]));
+
+        setState({ a: 1, b: 2 });
+        assert.deepEqual(calls, []);
+
+        setState({ a: 2, b: 2 });
+        assert.deepEqual(calls, [[4, 2]]);
+        assert.equal(doubleA.recomputations(), 2);
+    })
+
+    test('passes arguments to the selector', () => {
+        const { createObserver, createSelector, setState } = createContext({ items: { x: 1, y: 1 } });
+        const getItem = createObserver((state, id) => state.items[id]);
+        const selItem = createSelector(id => getItem(id));
+        const calls = [];
+        selItem.subscribe(result => calls.push(['x', result]), 'x');
+        selItem.subscribe(result => calls.push(['y', result]), 'y');
+
+        setState({ items: { x: 1, y: 2 } });
+        assert.deepEqual(calls, [['y', 2]]);
+    })
+
+    test('stops notifying after unsubscribe', () => {
+        const { createObserver, createSelector, setState } = createContext({ a: 1 });
+        const getA = createObserver(state => state.a);
+        const selA = createSelector(() => getA());
+        let calls = 0;
+        const unsubscribe = selA.subscribe(() => ++calls);
+
+        setState({ a: 2 });
+        unsubscribe();
+        setState({ a: 3 });
+        assert.equal(calls, 1);
+    })
+
+    test('a failing selector does not prevent notifying other listeners', () => {
+        const { createObserver, createSelector, setState, subscribe } = createContext({ a: 1 });
+        const getA = createObserver(state => state.a);
+        const failing = createSelector(() => {
+            if (getA() > 1) {
+                throw new Error('boom');
+            }
+            return getA();
+        }, { name: 'failing' });
+        const double = createSelector(() => getA() * 2);
+        const results = [];
+        const states = [];
+        failing.subscribe(result => results.push(result));
+        double.subscribe(result => results.push(result));
+        subscribe(state => states.push(state));
+
+        const error = console.error;
+        const errors = [];
+        console.error = (...args) => errors.push(args);
+        try {
+            setState({ a: 2 });
+        } finally {
+            console.error = error;
+        }
+        assert.deepEqual(results, [4]);
+        assert.deepEqual(states, [{ a: 2 }]);
+        assert.lengthOf(errors, 1);
+        assert.equal(errors[0][1].message, 'boom');
+    })
+
+    test('errors of subscribed selectors are reported with onError', () => {
+        const reports = [];
+        const { createObserver, createSelector, setState } = createContext({ a: 1 }, {
+            onError: (error, info) => reports.push([error.message, info])
+        });
+        const getA = createObserver(state => state.a);
+        const failing = createSelector(id => {
+            if (getA() > 1) {
+                throw new Error('boom');
+            }
+            return id;
+        }, { name: 'failing' });
+        failing.subscribe(() => {}, 'x');
+
+        setState({ a: 2 });
+        assert.deepEqual(reports, [['boom', { name: 'failing', args: ['x'] }]]);
+    })
+});
+
+suite('async selector', () => {
+    const delay = value => new Promise(resolve => setTimeout(() => resolve(value), 1));
+
+    test('memoizes the returned promise', () => {
+        const { createObserver, createAsyncSelector } = createContext({ a: 1 });
+        const getA = createObserver(state => state.a);
+        const fetchA = createAsyncSelector(function* () {
+            const a = getA();
+            return yield delay(a * 2);
+        });
+
+        const promise = fetchA();
+        assert.strictEqual(fetchA(), promise);
+        assert.equal(fetchA.recomputations(), 1);
+        return promise.then(result => {
+            assert.equal(result, 2);
+            assert.strictEqual(fetchA(), promise);
+            assert.equal(fetchA.recomputations(), 1);
+        });
+    })
+
+    test('dedupes concurrent calls with the same arguments', () => {
+        let called = 0;
+        const { createObserver, createAsyncSelector } = createContext({ items: { x: 1, y: 2 } });
+        const getItem = createObserver((state, id) => state.items[id]);
+        const fetchItem = createAsyncSelector(function* (id) {
+            ++called;
+            return yield delay(getItem(id));
+        });
+
+        return Promise.all([fetchItem('x'), fetchItem('y'), fetchItem('x')]).then(results => {
+            assert.deepEqual(results, [1, 2, 1]);
+            assert.equal(called, 2);
+        });
+    })
+
+    test('tracks observers read after a yield', () => {
+        const { createObserver, createAsyncSelector, setState } = createContext({ a: 1, b: 2 });
+        const getA = createObserver(state => state.a);
+        const getB = createObserver(state => state.b);
+        const fetchAB = createAsyncSelector(function* () {
+            const a = yield delay(getA());
+            return a + getB();
+        });
+
+        return fetchAB().then(result => {
+            assert.equal(result, 3);
+            assert.sameMembers(fetchAB.dependencies(), [getA.id, getB.id]);
+
+            setState({ a: 1, b: 3 });
+            return fetchAB();
+        }).then(result => {
+            assert.equal(result, 4);
+            assert.equal(fetchAB.recomputations(), 2);
+        });
+    })
+
+    test('does NOT memoize rejected promises', () => {
+        let called = 0;
+        const { createObserver, createAsyncSelector } = createContext({ a: 1 });
+        const getA = createObserver(state => state.a);
+        const failA = createAsyncSelector(function* () {
+            getA();
+            ++called;
+            yield delay();
+            throw new Error('test error');
+        });
+
+        return failA().then(
+            () => assert.fail('expected a rejection'),
+            error => {
+                assert.equal(error.message, 'test error');
+                return failA().catch(() => {});
+            }
+        ).then(() => {
+            assert.equal(called, 2);
+        });
+    })
+
+    test('rejects yielded errors into the generator', () => {
+        const { createAsyncSelector } = createContext();
+        const recover = createAsyncSelector(function* () {
+            try {
+                yield Promise.reject(new Error('test error'));
+            } catch (error) {
+                return error.message;
+            }
+        });
+
+        return recover().then(result => assert.equal(result, 'test error'));
+    })
+
+    test('requires a generator function', () => {
+        const { createAsyncSelector } = createContext();
+        const notAGenerator = createAsyncSelector(() => 1);
+        assert.throw(() => notAGenerator(), 'Async selectors must be generator functions');
+    })
+});
+
+suite('dev mode', () => {
+    const captureWarnings = fn => {
+        const warnings = [];
+        const consoleWarn = console.warn;
+        console.warn = (...args) => warnings.push(args);
+        try {
+            fn();
+        } finally {
+            console.warn = consoleWarn;
+        }
+        return warnings;
+    };
+
+    test('warns when a compute function reads untracked state', () => {
+        const state = { a: 1, b: 1 };
+        const { createObserver, createSelector } = createContext(state, { dev: true, devCheckInterval: 1 });
+        const getA = createObserver(state => state.a);
+        const sumAB = createSelector(function sumAB() {
+            return getA() + state.b;
+        });
+
+        const warnings = captureWarnings(() => {
+            assert.equal(sumAB(), 2);
+            assert.equal(sumAB(), 2);
+            state.b = 2;
+            assert.equal(sumAB(), 2); // stale
+        });
+        assert.equal(warnings.length, 1);
+        assert.include(warnings[0][0], 'Selector "sumAB" returned a different result');
+        assert.deepEqual(warnings[0][1], [getA.id]);
+        assert.equal(sumAB.recomputations(), 1);
+    })
+
+    test('compares results structurally', () => {
+        const { createObserver, createSelector } = createContext({ a: 1 }, { dev: true, devCheckInterval: 1 });
+        const getA = createObserver(state => state.a);
+        const wrapA = createSelector(() => ({ a: [getA()] }));
+
+        const warnings = captureWarnings(() => {
+            wrapA();
+            wrapA();
+        });
+        assert.isEmpty(warnings);
+    })
+
+    test('verifies cache hits occasionally', () => {
+        let called = 0;
+        const { createObserver, createSelector } = createContext({ a: 1 }, { dev: true, devCheckInterval: 3 });
+        const getA = createObserver(state => state.a);
+        const selA = createSelector(() => ++called && getA());
+
+        for (let i = 0; i < 7; ++i) {
+            selA();
+        }
+        assert.equal(called, 3); // 1 computation + 2 verifications
+        assert.equal(selA.recomputations(), 1);
+    })
+
+    test('verifies on demand', () => {
+        const state = { a: 1, b: 1 };
+        const { createObserver, createSelector } = createContext(state);
+        const getA = createObserver(state => state.a);
+        const sumAB = createSelector(() => getA() + state.b);
+
+        sumAB();
+        assert.isTrue(sumAB.verify());
+        state.b = 2;
+        const warnings = captureWarnings(() => assert.isFalse(sumAB.verify()));
+        assert.equal(warnings.length, 1);
+    })
+});
+
+suite('inspect', () => {
+    test('observers and selectors have names', () => {
+        const { createObserver, createSelector } = createContext();
+        const getA = createObserver(() => 1, { name: 'getA' });
+        const getB = createObserver(() => 2);
+        const selA = createSelector(() => getA(), { name: 'selA' });
+        const selB = createSelector(function selB() { return getB(); });
+        const selC = createSelector(() => 3);
+
+        assert.equal(getA.displayName, 'getA');
+        assert.equal(getB.displayName, `observer-${getB.id}`);
+        assert.equal(selA.displayName, 'selA');
+        assert.equal(selB.displayName, 'selB');
+        assert.equal(selC.displayName, `selector-${selC.id}`);
+    })
+
+    test('returns the dependency graph', () => {
+        const { createObserver, createSelector, inspect } = createContext({
+            items: { x: 1, y: 2 },
+            factor: 10
+        }, { registry: true });
+        const getItem = createObserver((state, id) => state.items[id], { name: 'getItem' });
+        const getFactor = createObserver(state => state.factor, { name: 'getFactor' });
+        const scaleItem = createSelector(id => getItem(id) * getFactor(), { name: 'scaleItem' });
+
+        scaleItem('x');
+        scaleItem('y');
+        scaleItem('y');
+
+        const graph = inspect();
+        assert.deepEqual(graph.observers, [
+            { id: getItem.id, name: 'getItem' },
+            { id: getFactor.id, name: 'getFactor' }
+        ]);
+        assert.equal(graph.selectors.length, 1);
+
+        const { entries, ...selector } = graph.selectors[0];
+        assert.deepEqual(selector, { id: scaleItem.id, name: 'scaleItem', recomputations: 2 });
+        assert.deepEqual(entries.map(entry => [entry.args, entry.value]), [
+            [['x'], 10],
+            [['y'], 20]
+        ]);
+        assert.sameDeepMembers(entries[1].dependencies, [
+            { id: getItem.id, name: 'getItem', args: ['y'], value: 2 },
+            { id: getFactor.id, name: 'getFactor', args: [], value: 10 }
+        ]);
+    })
+
+    test('skips entries of caches that are not iterable', () => {
+        const { createSelector, inspect } = createContext(undefined, { registry: true });
+        const contents = {};
+        const cache = {
+            get: key => contents[key],
+            set: (key, value) => contents[key] = value,
+            clear: () => {}
+        };
+        const selA = createSelector(() => 1, { name: 'selA', cache });
+        selA();
+        assert.deepEqual(inspect().selectors[0].entries, []);
+    })
+
+    test('requires the registry', () => {
+        const ctx = createContext();
+        ctx.createSelector(() => 1);
+        assert.throw(() => ctx.inspect(), 'inspect() requires a context created with the registry or dev options');
+        assert.throw(() => ctx.dehydrate(), 'dehydrate() requires');
+
+        const devCtx = createContext(undefined, { dev: true });
+        devCtx.createSelector(() => 1);
+        assert.lengthOf(devCtx.inspect().selectors, 1);
+    })
+});
+
+suite('result equality', () => {
+    test('keeps the previous result when it is equal', () => {
+        const { createObserver, createSelector, setState } = createContext({ items: [1, 2, 3] });
+        const getItems = createObserver(state => state.items);
+        const getEven = createSelector(
+            () => getItems().filter(item => item % 2 === 0),
+            { resultEquals: 'shallow' }
+        );
+
+        const first = getEven();
+        setState({ items: [1, 2, 3, 5] });
+        assert.strictEqual(getEven(), first);
+        assert.equal(getEven.recomputations(), 2);
+
+        setState({ items: [1, 2, 4] });
+        assert.deepEqual(getEven(), [2, 4]);
+    })
+
+    test('parent selectors are not recomputed when the result is equal', () => {
+        const { createObserver, createSelector, setState } = createContext({ items: [1, 2, 3] });
+        const getItems = createObserver(state => state.items);
+        const getEven = createSelector(
+            () => getItems().filter(item => item % 2 === 0),
+            { resultEquals: (a, b) => a.join() === b.join() }
+        );
+        const countEven = createSelector(() => getEven().length);
+
+        assert.equal(countEven(), 1);
+        setState({ items: [1, 2, 3, 5] });
+        assert.equal(countEven(), 1);
+        assert.equal(getEven.recomputations(), 2);
+        assert.equal(countEven.recomputations(), 1);
+
+        setState({ items: [2, 4] });
+        assert.equal(countEven(), 2);
+        assert.equal(countEven.recomputations(), 2);
+    })
+
+    test('subscribers are not notified when the result is equal', () => {
+        const { createObserver, createSelector, setState } = createContext({ a: { value: 1 } });
+        const getA = createObserver(state => state.a);
+        const copyA = createSelector(() => Object.assign({}, getA()), { resultEquals: 'deep' });
+        let calls = 0;
+        copyA.subscribe(() => ++calls);
+
+        setState({ a: { value: 1 } });
+        assert.equal(calls, 0);
+        setState({ a: { value: 2 } });
+        assert.equal(calls, 1);
+    })
+});
+
+suite('dependency versions', () => {
+    test('cache hits validate child selectors without recomputing the parent', () => {
+        const { createObserver, createSelector, setState } = createContext({ a: 1, b: 1 });
+        let readsA = 0;
+        const getA = createObserver(state => (++readsA, state.a));
+        const getB = createObserver(state => state.b);
+        const doubleA = createSelector(() => getA() * 2);
+        const total = createSelector(() => doubleA() + getB());
+
+        assert.equal(total(), 3);
+        assert.equal(readsA, 1);
+
+        // A cache hit validates doubleA once, without recomputing total
+        setState({ a: 1, b: 1 });
+        assert.equal(total(), 3);
+        assert.equal(readsA, 2);
+        assert.equal(total.recomputations(), 1);
+
+        setState({ a: 2, b: 1 });
+        assert.equal(total(), 5);
+        assert.equal(doubleA.recomputations(), 2);
+        assert.equal(total.recomputations(), 2);
+    })
+
+    test('shared selectors are validated once per read', () => {
+        const { createObserver, createSelector, setState } = createContext({ value: 1 });
+        let reads = 0;
+        const getValue = createObserver(state => (++reads, state.value));
+        const shared = createSelector(() => getValue() + 1);
+        const left = createSelector(() => shared() * 2);
+        const right = createSelector(() => shared() * 3);
+        const diamond = createSelector(() => left() + right());
+
+        assert.equal(diamond(), 10);
+        assert.equal(reads, 1);
+
+        assert.equal(diamond(), 10);
+        assert.equal(reads, 2);
+
+        setState({ value: 2 });
+        assert.equal(diamond(), 15);
+        assert.equal(reads, 4); // validation and recomputation of shared
+        assert.equal(shared.recomputations(), 2);
+        assert.equal(diamond.recomputations(), 2);
+    })
+
+    test('parent selectors depend on the arguments of their children', () => {
+        const { createObserver, createSelector, setState } = createContext({ items: { a: 1, b: 2 } });
+        const getItem = createObserver((state, id) => state.items[id]);
+        const getItemSelector = createSelector(id => getItem(id));
+        const getA = createSelector(() => getItemSelector('a'));
+
+        assert.equal(getA(), 1);
+        setState({ items: { a: 1, b: 3 } });
+        assert.equal(getA(), 1);
+        assert.equal(getA.recomputations(), 1);
+        assert.sameMembers(getA.dependencies(), [getItem.key('a')]);
+
+        setState({ items: { a: 4, b: 3 } });
+        assert.equal(getA(), 4);
+        assert.equal(getA.recomputations(), 2);
+    })
+});
+
+suite('immutable state', () => {
+    test('selectors are validated once per state', () => {
+        const { createObserver, createSelector, setState } = createContext({ a: 1 }, { immutable: true });
+        let reads = 0;
+        const getA = createObserver(state => (++reads, state.a));
+        const double = createSelector(() => getA() * 2);
+
+        assert.equal(double(), 2);
+        assert.equal(double(), 2);
+        assert.equal(double(), 2);
+        assert.equal(reads, 1);
+
+        setState({ a: 1 });
+        assert.equal(double(), 2);
+        assert.equal(reads, 2);
+        assert.equal(double.recomputations(), 1);
+
+        setState({ a: 3 });
+        assert.equal(double(), 6);
+        assert.equal(double.recomputations(), 2);
+    })
+
+    test('setting the same state keeps the validated results', () => {
+        const { createObserver, createSelector, getState, setState, subscribe } = createContext(
+            { a: 1, b: 1 },
+            { immutable: true }
+        );
+        let reads = 0;
+        const getA = createObserver(state => (++reads, state.a), { path: 'a' });
+        const double = createSelector(() => getA() * 2);
+        let calls = 0;
+        subscribe(() => ++calls);
+
+        const state = getState();
+        for (let i = 0; i < 10; ++i) {
+            assert.equal(double.withState(state)(), 2);
+        }
+        setState(state);
+        assert.equal(double(), 2);
+        assert.equal(reads, 1);
+        assert.equal(calls, 0);
+
+        setState({ ...state, b: 2 });
+        assert.equal(double(), 2);
+        assert.equal(reads, 1);
+        assert.equal(calls, 1);
+    })
+
+    test('batch notifies listeners once', () => {
+        const { createObserver, createSelector, setState, getState, subscribe, batch } = createContext({ a: 1, b: 1 });
+        const getA = createObserver(state => state.a);
+        const getB = createObserver(state => state.b);
+        const sum = createSelector(() => getA() + getB());
+        const states = [];
+        const results = [];
+        subscribe(state => states.push(state));
+        sum.subscribe(result => results.push(result));
+
+        const result = batch(() => {
+            setState({ ...getState(), a: 2 });
+            batch(() => setState({ ...getState(), b: 3 }));
+            return 'done';
+        });
+
+        assert.equal(result, 'done');
+        assert.deepEqual(states, [{ a: 2, b: 3 }]);
+        assert.deepEqual(results, [5]);
+    })
+
+    test('reads inside a batch see the latest state', () => {
+        const { createObserver, createSelector, setState, batch } = createContext({ a: 1 }, { immutable: true });
+        const getA = createObserver(state => state.a);
+        const double = createSelector(() => getA() * 2);
+
+        assert.equal(double(), 2);
+        batch(() => {
+            setState({ a: 2 });
+            assert.equal(double(), 4);
+            setState({ a: 3 });
+            assert.equal(double(), 6);
+        });
+        assert.equal(double(), 6);
+        assert.equal(double.recomputations(), 3);
+    })
+
+    test('listeners are notified when the batch throws', () => {
+        const { setState, subscribe, batch } = createContext({ a: 1 });
+        let calls = 0;
+        subscribe(() => ++calls);
+
+        assert.throw(() => batch(() => {
+            setState({ a: 2 });
+            throw new Error('failed');
+        }), 'failed');
+        assert.equal(calls, 1);
+    })
+});
+
+suite('hydration', () => {
+    const setup = (state, options) => {
+        const context = createContext(state, Object.assign({ registry: true }, options));
+        const { createObserver, createSelector } = context;
+        const getTodos = createObserver((state, listId) => state.lists[listId], { name: 'getTodos' });
+        const getFilter = createObserver(state => state.filter, { name: 'getFilter' });
+        const getVisible = createSelector(
+            listId => getTodos(listId).filter(todo => todo.done === getFilter()),
+            { name: 'getVisible' }
+        );
+        const countVisible = createSelector(listId => getVisible(listId).length, { name: 'countVisible' });
+        return { context, getVisible, countVisible };
+    };
+    const state = { filter: true, lists: { a: [{ done: true }, { done: false }] } };
+
+    test('hydrated results are reused while the observed values match', () => {
+        const server = setup(state);
+        assert.equal(server.countVisible('a'), 1);
+        const snapshot = JSON.parse(JSON.stringify(server.context.dehydrate()));
+        assert.sameMembers(Object.keys(snapshot.selectors), ['getVisible', 'countVisible']);
+
+        const client = setup(JSON.parse(JSON.stringify(state)));
+        client.context.hydrate(snapshot);
+        assert.deepEqual(client.getVisible('a'), [{ done: true }]);
+        assert.equal(client.countVisible('a'), 1);
+        assert.equal(client.getVisible.recomputations(), 0);
+        assert.equal(client.countVisible.recomputations(), 0);
+
+        client.context.setState({ ...client.context.getState(), filter: false });
+        assert.equal(client.countVisible('a'), 1);
+        assert.deepEqual(client.getVisible('a'), [{ done: false }]);
+        assert.equal(client.getVisible.recomputations(), 1);
+    })
+
+    test('hydrated results are recomputed when the observed values differ', () => {
+        const server = setup(state);
+        server.countVisible('a');
+        const snapshot = server.context.dehydrate();
+
+        const client = setup({ ...state, filter: false });
+        client.context.hydrate(snapshot);
+        assert.equal(client.countVisible('a'), 1);
+        assert.deepEqual(client.getVisible('a'), [{ done: false }]);
+        assert.equal(client.getVisible.recomputations(), 1);
+        assert.equal(client.countVisible.recomputations(), 1);
+    })
+
+    test('hydrated results are checked in immutable contexts', () => {
+        const server = setup(state);
+        server.countVisible('a');
+        const snapshot = JSON.parse(JSON.stringify(server.context.dehydrate()));
+
+        const client = setup({ ...state, filter: false }, { immutable: true });
+        client.context.hydrate(snapshot);
+        assert.deepEqual(client.getVisible('a'), [{ done: false }]);
+        assert.equal(client.countVisible('a'), 1);
+        assert.equal(client.getVisible.recomputations(), 1);
+
+        const other = setup({ filter: true, lists: { a: [{ done: true }, { done: true }] } }, { immutable: true });
+        other.context.hydrate(snapshot);
+        assert.equal(other.countVisible('a'), 2);
+        assert.equal(other.countVisible.recomputations(), 1);
+    })
+
+    test('entries with unknown dependencies are not hydrated', () => {
+        const server = setup(state);
+        server.countVisible('a');
+        const snapshot = server.context.dehydrate();
+        delete snapshot.selectors.getVisible;
+
+        const client = setup(state);
+        client.context.hydrate(snapshot);
+        assert.equal(client.countVisible('a'), 1);
+        assert.equal(client.countVisible.recomputations(), 1);
+    })
+
+    test('requires unique names', () => {
+        const { createSelector, dehydrate } = createContext(undefined, { registry: true });
+        createSelector(() => 1, { name: 'same' });
+        createSelector(() => 2, { name: 'same' });
+        assert.throw(() => dehydrate(), 'Duplicate selector name "same"');
+    })
+});
+
+suite('selector families', () => {
+    test('creates one selector per key', () => {
+        const { createObserver, createSelectorFamily } = createContext({ tabs: { a: [1, 2], b: [3] } });
+        const getTab = createObserver((state, tabId) => state.tabs[tabId]);
+        const tabItem = createSelectorFamily((tabId, index) => getTab(tabId)[index], { name: 'tabItem' });
+
+        assert.strictEqual(tabItem('a'), tabItem('a'));
+        assert.notStrictEqual(tabItem('a'), tabItem('b'));
+        assert.equal(tabItem('a')(1), 2);
+        assert.equal(tabItem('b')(0), 3);
+        assert.equal(tabItem('a').displayName, 'tabItem("a")');
+        assert.deepEqual(tabItem.keys(), ['a', 'b']);
+    })
+
+    test('dispose frees the selector of a key', () => {
+        const { createObserver, createSelectorFamily, inspect } = createContext({ docs: { 1: 'x' } }, { registry: true });
+        const getDoc = createObserver((state, docId) => state.docs[docId]);
+        const docLength = createSelectorFamily(docId => getDoc(docId).length);
+
+        const first = docLength(1);
+        assert.equal(first(), 1);
+        docLength(2);
+        assert.lengthOf(inspect().selectors, 2);
+
+        docLength.dispose(1);
+        assert.deepEqual(docLength.keys(), [2]);
+        assert.lengthOf(inspect().selectors, 1);
+        assert.notStrictEqual(docLength(1), first);
+        assert.equal(docLength(1)(), 1);
+
+        docLength.disposeAll();
+        assert.isEmpty(docLength.keys());
+        assert.isEmpty(inspect().selectors);
+    })
+
+    test('can not share a cache', () => {
+        const { createSelectorFamily } = createContext();
+        assert.throw(
+            () => createSelectorFamily(key => key, { cache: new DefaultCache() }),
+            'Selector families create a cache for each selector'
+        );
+    })
+});
+
+suite('writable selectors', () => {
+    test('setters can return a function updating the state', () => {
+        const { createObserver, createSelector } = createContext({ price: 100, tax: 0.2 });
+        const getPrice = createObserver(state => state.price);
+        const getTax = createObserver(state => state.tax);
+        const priceWithTax = createSelector({
+            get: () => getPrice() * (1 + getTax()),
+            set: value => state => ({ ...state, price: value / (1 + state.tax) })
+        });
+
+        assert.equal(priceWithTax(), 120);
+        priceWithTax.set(240);
+        assert.equal(getPrice(), 200);
+        assert.equal(priceWithTax(), 240);
+    })
+
+    test('setters receive the arguments of the selector', () => {
+        const { createObserver, createSelector, update } = createContext({ items: { a: 1 } });
+        const getItem = createObserver((state, id) => state.items[id]);
+        const itemLabel = createSelector({
+            get: id => `#${getItem(id)}`,
+            set: (label, id) => update(state => ({ items: { ...state.items, [id]: Number(label.slice(1)) } }))
+        });
+
+        itemLabel.set('#5', 'b');
+        assert.equal(itemLabel('a'), '#1');
+        assert.equal(itemLabel('b'), '#5');
+    })
+
+    test('updates are applied by the update option or dispatched to the store', () => {
+        const updates = [];
+        const ctx1 = createContext({ value: 1 }, { update: action => updates.push(action) });
+        const setValue = ctx1.createSelector({ get: () => 1, set: value => ({ type: 'set', value }) });
+        setValue.set(2);
+        assert.deepEqual(updates, [{ type: 'set', value: 2 }]);
+
+        let state = { value: 1 };
+        let listener;
+        const store = {
+            getState: () => state,
+            dispatch: action => {
+                state = { value: action.value };
+                listener();
+            },
+            subscribe: l => {
+                listener = l;
+                return () => {};
+            }
+        };
+        const ctx2 = createContext();
+        const getValue = ctx2.createObserver(state => state.value);
+        const value = ctx2.createSelector({ get: () => getValue(), set: value => ({ type: 'set', value }) });
+        const disconnect = ctx2.connectStore(store);
+        value.set(3);
+        assert.equal(value(), 3);
+
+        // Stores don't know how to apply functions
+        const dispatch = store.dispatch;
+        let dispatched = 0;
+        store.dispatch = action => (++dispatched, dispatch(action));
+        assert.throw(
+            () => ctx2.update(state => ({ value: state.value + 1 })),
+            'Updates dispatched to a store must be actions, use the update option to apply functions'
+        );
+        assert.equal(dispatched, 0);
+        assert.equal(value(), 3);
+
+        disconnect();
+        assert.throw(() => value.set(4), 'Updates must be functions unless an update option or a store is provided');
+    })
+
+    test('read-only selectors can not be set', () => {
+        const { createSelector } = createContext();
+        const one = createSelector(() => 1, { name: 'one' });
+        assert.throw(() => one.set(2), 'Selector "one" is not writable');
+    })
+});
+
+suite('error memoization', () => {
+    test('memoizes errors until a dependency changes', () => {
+        let called = 0;
+        const { createObserver, createSelector, setState } = createContext({ items: null });
+        const getItems = createObserver(state => state.items);
+        const count = createSelector(() => {
+            called++;
+            return getItems().length;
+        }, { memoizeErrors: true });
+
+        assert.throw(() => count(), TypeError);
+        assert.throw(() => count(), TypeError);
+        assert.equal(called, 1);
+        assert.equal(count.recomputations(), 1);
+
+        setState({ items: [1, 2] });
+        assert.equal(count(), 2);
+        assert.equal(called, 2);
+    })
+
+    test('parent selectors depend on failing selectors', () => {
+        const { createObserver, createSelector, setState } = createContext({ value: -1 });
+        const getValue = createObserver(state => state.value);
+        const sqrt = createSelector(() => {
+            if (getValue() < 0) {
+                throw new RangeError('negative value');
+            }
+            return Math.sqrt(getValue());
+        });
+        const label = createSelector(() => `√ = ${sqrt()}`, { memoizeErrors: true });
+
+        assert.throw(() => label(), 'negative value');
+        setState({ value: 4 });
+        assert.equal(label(), '√ = 2');
+    })
+
+    test('parents memoizing errors keep them while failing selectors read the same values', () => {
+        let runs = 0;
+        const { createObserver, createSelector, setState } = createContext({ value: -1 });
+        const getValue = createObserver(state => state.value);
+        const sqrt = createSelector(() => {
+            runs++;
+            if (getValue() < 0) {
+                throw new RangeError('negative value');
+            }
+            return Math.sqrt(getValue());
+        });
+        const label = createSelector(() => `√ = ${sqrt()}`, { memoizeErrors: true });
+
+        assert.throw(() => label(), 'negative value');
+        assert.throw(() => label(), 'negative value');
+        assert.throw(() => label(), 'negative value');
+        assert.equal(label.recomputations(), 1);
+        assert.equal(runs, 1);
+
+        // Calling the failing selector computes it again
+        assert.throw(() => sqrt(), 'negative value');
+        assert.equal(runs, 2);
+        assert.throw(() => label(), 'negative value');
+        assert.equal(label.recomputations(), 1);
+
+        setState({ value: 9 });
+        assert.equal(label(), '√ = 3');
+        assert.equal(label.recomputations(), 2);
+    })
+
+    test('selectors that start failing under a parent are computed once per read', () => {
+        const reports = [];
+        const { createObserver, createSelector, setState } = createContext({ value: 4 }, {
+            onError: (error, info) => reports.push(info.name)
+        });
+        let runs = 0;
+        const getValue = createObserver(state => state.value);
+        const child = createSelector(() => {
+            runs++;
+            if (getValue() < 0) {
+                throw new RangeError('negative value');
+            }
+            return Math.sqrt(getValue());
+        }, { name: 'child' });
+        const parent = createSelector(() => `√ = ${child()}`, { name: 'parent' });
+
+        assert.equal(parent(), '√ = 2');
+        assert.equal(runs, 1);
+
+        setState({ value: -1 });
+        assert.throw(() => parent(), 'negative value');
+        assert.equal(runs, 2);
+        assert.deepEqual(reports, ['child']);
+
+        // Not memoized, each read computes the child again
+        assert.throw(() => parent(), 'negative value');
+        assert.equal(runs, 3);
+        assert.deepEqual(reports, ['child', 'child']);
     })
-});
\ No newline at end of file
+
+    test('onError reports each error once', () => {
+        const reports = [];
+        const { createObserver, createSelector } = createContext({ value: 0 }, {
+            onError: (error, info) => reports.push([error.message, info])
+        });
+        const getValue = createObserver(state => state.value);
+        const fails = createSelector(id => {
+            getValue();
+            throw new Error(`failed ${id}`);
+        }, { name: 'fails', memoizeErrors: true });
+        const parent = createSelector(() => fails('a'), { name: 'parent', memoizeErrors: true });
+
+        assert.throw(() => parent(), 'failed a');
+        assert.throw(() => parent(), 'failed a');
+        assert.throw(() => fails('b'), 'failed b');
+        assert.deepEqual(reports, [
+            ['failed a', { name: 'fails', args: ['a'] }],
+            ['failed b', { name: 'fails', args: ['b'] }]
+        ]);
+    })
+
+    test('async selectors report rejections', () => {
+        const reports = [];
+        const { createAsyncSelector } = createContext({}, { onError: error => reports.push(error) });
+        let called = 0;
+        const load = createAsyncSelector(function* () {
+            called++;
+            yield Promise.resolve();
+            throw new Error('not found');
+        }, { memoizeErrors: true });
+
+        const promise = load();
+        return promise.then(() => assert.fail(), error => {
+            assert.equal(error.message, 'not found');
+            assert.strictEqual(load(), promise);
+            assert.equal(called, 1);
+            assert.lengthOf(reports, 1);
+        });
+    })
+});
@@ -0,0 +1,77 @@
+import chai from 'chai'
+import { createContext, stableSerialize, identitySerialize } from '../src/index'
+
+const assert = chai.assert
+
+suite('stableSerialize', () => {
+    test('sorts object keys', () => {
+        assert.equal(
+            stableSerialize({ a: 1, b: { c: 2, d: 3 } }),
+            stableSerialize({ b: { d: 3, c: 2 }, a: 1 })
+        );
+    })
+
+    test('tags values with their type', () => {
+        const values = [
+            1, '1', 1n, true, 'true', null, 'null', undefined, [undefined], [null], [],
+            {}, new Date(0), 0, new Map([['a', 1]]), { a: 1 }, new Set([1]), [1], /1/, '/1/'
+        ];
+        const keys = values.map(stableSerialize);
+        assert.equal(new Set(keys).size, keys.length);
+    })
+
+    test('keeps undefined entries', () => {
+        assert.notEqual(stableSerialize({ a: undefined }), stableSerialize({}));
+        assert.notEqual(stableSerialize([1, undefined]), stableSerialize([1]));
+    })
+
+    test('serializes Maps, Sets and Dates by contents', () => {
+        assert.equal(
+            stableSerialize(new Map([['a', 1], ['b', 2]])),
+            stableSerialize(new Map([['b', 2], ['a', 1]]))
+        );
+        assert.equal(stableSerialize(new Set([1, 2])), stableSerialize(new Set([2, 1])));
+        assert.equal(stableSerialize(new Date(10)), stableSerialize(new Date(10)));
+        assert.notEqual(stableSerialize(new Date(10)), stableSerialize(new Date(11)));
+    })
+
+    test('supports circular references', () => {
+        const a = { name: 'a' };
+        a.self = a;
+        const b = { name: 'a' };
+        b.self = b;
+        const c = { name: 'a', self: { name: 'a' } };
+        assert.equal(stableSerialize(a), stableSerialize(b));
+        assert.notEqual(stableSerialize(a), stableSerialize(c));
+    })
+
+    test('serializes functions by identity', () => {
+        const fn = () => 1;
+        assert.equal(stableSerialize([fn]), stableSerialize([fn]));
+        assert.notEqual(stableSerialize([fn]), stableSerialize([() => 1]));
+    })
+})
+
+suite('identitySerialize', () => {
+    test('serializes objects by identity', () => {
+        const obj = { a: 1 };
+        assert.equal(identitySerialize([obj, 1]), identitySerialize([obj, 1]));
+        assert.notEqual(identitySerialize([obj]), identitySerialize([{ a: 1 }]));
+        assert.notEqual(identitySerialize([1]), identitySerialize(['1']));
+    })
+
+    test('can be used as a selector serializer', () => {
+        const { createObserver, createSelector } = createContext({ tax: 10 });
+        const getTax = createObserver(state => state.tax);
+        const getTotal = createSelector(
+            order => order.amount + getTax(),
+            { serialize: identitySerialize }
+        );
+        const order = { amount: 100 };
+
+        assert.equal(getTotal(order), 110);
+        assert.equal(getTotal(order), 110);
+        assert.equal(getTotal({ amount: 100 }), 110);
+        assert.equal(getTotal.recomputations(), 2);
+    })
+})
@@ -0,0 +1,124 @@
+import chai from 'chai'
+import { createContext } from '../src/index'
+import {
+    expectDependencies,
+    expectRecomputations,
+    mockObserver,
+    resetAllMocks,
+    withMocks
+} from '../src/testing'
+
+const assert = chai.assert
+
+suite('testing', () => {
+    teardown(() => resetAllMocks());
+
+    test('mockObserver replaces the result of an observer', () => {
+        const { createObserver, createSelector } = createContext({ items: [1, 2] });
+        const getItems = createObserver(state => state.items);
+        const count = createSelector(() => getItems().length);
+
+        assert.equal(count(), 2);
+        mockObserver(getItems, [1, 2, 3]);
+        assert.deepEqual(getItems(), [1, 2, 3]);
+        assert.equal(count(), 3);
+
+        resetAllMocks();
+        assert.equal(count(), 2);
+        expectRecomputations(count, 3);
+    })
+
+    test('mockObserver invalidates observers declaring their path', () => {
+        const { createObserver, createSelector } = createContext({ shop: { total: 1 } }, { immutable: true });
+        const getTotal = createObserver('shop.total');
+        const double = createSelector(() => getTotal() * 2);
+
+        assert.equal(double(), 2);
+        mockObserver(getTotal, 5);
+        assert.equal(double(), 10);
+        resetAllMocks();
+        assert.equal(double(), 2);
+    })
+
+    test('resetAllMocks restores observers mocked twice', () => {
+        const { createObserver } = createContext({ a: 1 });
+        const getA = createObserver(state => state.a);
+        mockObserver(getA, 2);
+        mockObserver(getA, 3);
+        assert.equal(getA(), 3);
+        resetAllMocks();
+        assert.equal(getA(), 1);
+    })
+
+    test('withMocks restores the mocks created inside it', () => {
+        const { createObserver } = createContext({ a: 1, b: 1 });
+        const getA = createObserver(state => state.a);
+        const getB = createObserver(state => state.b);
+        mockObserver(getA, 2);
+
+        const result = withMocks(() => {
+            mockObserver(getB, 2);
+            return getA() + getB();
+        });
+        assert.equal(result, 4);
+        assert.equal(getA(), 2);
+        assert.equal(getB(), 1);
+
+        assert.throw(() => withMocks(() => {
+            mockObserver(getB, 3);
+            throw new Error('failed');
+        }), 'failed');
+        assert.equal(getB(), 1);
+    })
+
+    test('withMocks waits for returned promises', () => {
+        const { createObserver } = createContext({ a: 1 });
+        const getA = createObserver(state => state.a);
+        const promise = withMocks(() => {
+            mockObserver(getA, 2);
+            return Promise.resolve().then(() => getA());
+        });
+        assert.equal(getA(), 2);
+        return promise.then(value => {
+            assert.equal(value, 2);
+            assert.equal(getA(), 1);
+        });
+    })
+
+    test('mocked selectors are invalidated when the state changes', () => {
+        const { createObserver, createSelector, setState } = createContext({ a: 1 });
+        const getA = createObserver(state => state.a);
+        const double = createSelector(() => getA() * 2);
+
+        double.mock().result(10);
+        assert.equal(double(), 10);
+        assert.equal(double(), 10);
+        setState({ a: 2 });
+        assert.equal(double(), 4);
+        expectRecomputations(double, 1);
+    })
+
+    test('expectRecomputations reports the actual count', () => {
+        const { createSelector } = createContext();
+        const one = createSelector(() => 1, { name: 'one' });
+        one();
+        assert.throw(
+            () => expectRecomputations(one, 2),
+            'Expected selector "one" to be recomputed 2 times, but it was recomputed 1 times'
+        );
+    })
+
+    test('expectDependencies accepts observers and keys', () => {
+        const { createObserver, createSelector } = createContext({ items: { a: 1 }, factor: 2 });
+        const getItem = createObserver((state, id) => state.items[id]);
+        const getFactor = createObserver(state => state.factor);
+        const getValue = createSelector(id => getItem(id) * getFactor(), { name: 'getValue' });
+
+        getValue('a');
+        expectDependencies(getValue, [getFactor, getItem.key('a')], 'a');
+        assert.throw(
+            () => expectDependencies(getValue, [getFactor], 'a'),
+            `Expected selector "getValue" to depend on [${getFactor.id}], but it depends on`
+        );
+    })
+})
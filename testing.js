@@ -0,0 +1,2 @@
+// Entry point for @jvitela/recompute/testing
+module.exports = require('./lib/testing');